@@ -0,0 +1,138 @@
+// ===== MASTER EFFECTS BUS =====
+// voices -> EQ -> delay -> reverb -> compressor/limiter -> destination
+// Every stage has a dry path and a wet path, so each effect can be bypassed or mixed in.
+// Settings come from the preset (see normalizeEffects in preset-library.js).
+
+const EFFECT_SMOOTHING = 0.02; // seconds, avoids zipper noise while a slider moves
+const MAX_DELAY_TIME = 2; // seconds
+
+// Decaying stereo noise: reaches -60 dB after `decay` seconds, so no impulse file is fetched
+function createImpulseResponse(context, decay) {
+    const length = Math.ceil(context.sampleRate * decay);
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+    const decayRate = 6.9 / length; // ln(1000)
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-i * decayRate);
+        }
+    }
+    return impulse;
+}
+
+// input -> dry -> output, input -> (effect) -> wet -> output
+function createEffectStage(context) {
+    const stage = {
+        input: context.createGain(),
+        dry: context.createGain(),
+        wet: context.createGain(),
+        output: context.createGain()
+    };
+    stage.input.connect(stage.dry);
+    stage.dry.connect(stage.output);
+    stage.wet.connect(stage.output);
+    return stage;
+}
+
+function createEffectsBus(context, settings, destination = context.destination) {
+    // 3-band EQ
+    const eq = createEffectStage(context);
+    const low = context.createBiquadFilter();
+    low.type = 'lowshelf';
+    low.frequency.value = 250;
+    const mid = context.createBiquadFilter();
+    mid.type = 'peaking';
+    mid.frequency.value = 1000;
+    mid.Q.value = 0.9;
+    const high = context.createBiquadFilter();
+    high.type = 'highshelf';
+    high.frequency.value = 4000;
+    eq.input.connect(low);
+    low.connect(mid);
+    mid.connect(high);
+    high.connect(eq.wet);
+
+    // Feedback delay
+    const delay = createEffectStage(context);
+    const delayLine = context.createDelay(MAX_DELAY_TIME);
+    const feedback = context.createGain();
+    delay.input.connect(delayLine);
+    delayLine.connect(feedback);
+    feedback.connect(delayLine);
+    delayLine.connect(delay.wet);
+
+    // Convolution reverb
+    const reverb = createEffectStage(context);
+    const convolver = context.createConvolver();
+    reverb.input.connect(convolver);
+    convolver.connect(reverb.wet);
+    let reverbDecay = null;
+
+    // Compressor / limiter last, so overlapping voices don't clip
+    const compressor = createEffectStage(context);
+    const dynamics = context.createDynamicsCompressor();
+    dynamics.knee.value = 6;
+    dynamics.attack.value = 0.003;
+    dynamics.release.value = 0.25;
+    compressor.input.connect(dynamics);
+    dynamics.connect(compressor.wet);
+
+    eq.output.connect(delay.input);
+    delay.output.connect(reverb.input);
+    reverb.output.connect(compressor.input);
+    compressor.output.connect(destination);
+
+    // The first update sets values outright (an offline render starts at once), later ones glide
+    let smoothing = 0;
+    function setParam(param, value) {
+        if (smoothing) {
+            param.setTargetAtTime(value, context.currentTime, smoothing);
+        } else {
+            param.setValueAtTime(value, context.currentTime);
+        }
+    }
+
+    function setStageMix(stage, effect) {
+        const wet = effect.bypass ? 0 : effect.mix;
+        setParam(stage.wet.gain, wet);
+        setParam(stage.dry.gain, 1 - wet);
+    }
+
+    function update(effects) {
+        setStageMix(eq, effects.eq);
+        setParam(low.gain, effects.eq.low);
+        setParam(mid.gain, effects.eq.mid);
+        setParam(high.gain, effects.eq.high);
+
+        setStageMix(delay, effects.delay);
+        setParam(delayLine.delayTime, Math.min(MAX_DELAY_TIME, getDelayTime(effects.delay)));
+        setParam(feedback.gain, effects.delay.feedback);
+
+        setStageMix(reverb, effects.reverb);
+        if (effects.reverb.decay !== reverbDecay) {
+            reverbDecay = effects.reverb.decay;
+            convolver.buffer = createImpulseResponse(context, reverbDecay);
+        }
+
+        setStageMix(compressor, effects.compressor);
+        setParam(dynamics.threshold, effects.compressor.threshold);
+        setParam(dynamics.ratio, effects.compressor.ratio);
+    }
+
+    update(settings);
+    smoothing = EFFECT_SMOOTHING;
+    return { input: eq.input, output: compressor.output, update };
+}
+
+// Seconds the effects keep ringing after the last voice ends (for offline rendering)
+function getEffectsTail(effects) {
+    const reverbTail = effects.reverb.bypass ? 0 : effects.reverb.decay;
+    let delayTail = 0;
+    if (!effects.delay.bypass) {
+        // Echoes until they fall below -60 dB
+        const echoes = effects.delay.feedback > 0 ? Math.log(0.001) / Math.log(effects.delay.feedback) : 1;
+        delayTail = Math.min(10, echoes * getDelayTime(effects.delay));
+    }
+    return reverbTail + delayTail;
+}
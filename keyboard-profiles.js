@@ -0,0 +1,145 @@
+// ===== KEYBOARD MAPPING PROFILES =====
+// A profile binds computer keys to piano notes:
+// { id, name, builtIn, bindings: [{ key: 'z', code: 'KeyZ', note: 'C4' }] }
+// `key` is the character the key types (event.key, lower case) and `code` the physical
+// position (event.code), so a binding works in either matching mode.
+
+const KEY_PROFILES_STORAGE_KEY = 'online-piano-key-profiles';
+const ACTIVE_KEY_PROFILE_STORAGE_KEY = 'online-piano-key-profile';
+const MATCH_PHYSICAL_KEYS_STORAGE_KEY = 'online-piano-match-physical-keys';
+
+// Physical keys of the default three-row layout (US QWERTY positions)
+const DEFAULT_KEY_POSITIONS = [
+    // Lower octave (C4-B4)
+    ['KeyZ', 'C4'], ['KeyS', 'C#4'], ['KeyX', 'D4'], ['KeyD', 'D#4'], ['KeyC', 'E4'],
+    ['KeyV', 'F4'], ['KeyG', 'F#4'], ['KeyB', 'G4'], ['KeyH', 'G#4'], ['KeyN', 'A4'],
+    ['KeyJ', 'A#4'], ['KeyM', 'B4'],
+    // Middle octave (C5-B5)
+    ['KeyQ', 'C5'], ['Digit2', 'C#5'], ['KeyW', 'D5'], ['Digit3', 'D#5'], ['KeyE', 'E5'],
+    ['KeyR', 'F5'], ['Digit5', 'F#5'], ['KeyT', 'G5'], ['Digit6', 'G#5'], ['KeyY', 'A5'],
+    ['Digit7', 'A#5'], ['KeyU', 'B5'],
+    // Upper octave (C6-B6)
+    ['KeyA', 'C6'], ['Digit8', 'C#6'], ['KeyL', 'D6'], ['Digit9', 'D#6'], ['KeyI', 'E6'],
+    ['KeyO', 'F6'], ['Digit0', 'F#6'], ['KeyP', 'G6'], ['BracketLeft', 'G#6'], ['BracketRight', 'A6'],
+    ['Backslash', 'A#6'], ['KeyK', 'B6']
+];
+
+// Character each physical key types on a layout (only keys that differ from QWERTY are listed)
+const QWERTY_CHARACTERS = {
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Semicolon: ';'
+};
+
+const AZERTY_CHARACTERS = {
+    KeyZ: 'w', KeyW: 'z', KeyQ: 'a', KeyA: 'q', KeyM: ',', Semicolon: 'm',
+    Digit2: 'é', Digit3: '"', Digit5: '(', Digit6: '-', Digit7: 'è', Digit8: '_', Digit9: 'ç', Digit0: 'à',
+    BracketRight: '$', Backslash: '*'
+};
+
+const QWERTZ_CHARACTERS = {
+    KeyZ: 'y', KeyY: 'z', BracketLeft: 'ü', BracketRight: '+', Backslash: '#'
+};
+
+function characterForCode(code, layout) {
+    if (layout[code]) return layout[code];
+    if (QWERTY_CHARACTERS[code]) return QWERTY_CHARACTERS[code];
+    return code.replace(/^(Key|Digit)/, '').toLowerCase();
+}
+
+function buildLayoutProfile(id, name, layout, moves = {}) {
+    return {
+        id,
+        name,
+        builtIn: true,
+        bindings: DEFAULT_KEY_POSITIONS.map(([position, note]) => {
+            const code = moves[position] || position;
+            return { key: characterForCode(code, layout), code, note };
+        })
+    };
+}
+
+const builtInKeyProfiles = [
+    buildLayoutProfile('qwerty', 'QWERTY (default)', {}),
+    // '^' is a dead key on AZERTY, so G#6 moves to the M key next to L
+    buildLayoutProfile('azerty', 'AZERTY (French)', AZERTY_CHARACTERS, { BracketLeft: 'Semicolon' }),
+    buildLayoutProfile('qwertz', 'QWERTZ (German)', QWERTZ_CHARACTERS)
+];
+
+// What a key event is matched on: the typed character, or the physical position
+function getBindingToken(binding, matchPhysicalKeys) {
+    return matchPhysicalKeys ? binding.code : binding.key;
+}
+
+function getEventToken(event, matchPhysicalKeys) {
+    return matchPhysicalKeys ? event.code : event.key.toLowerCase();
+}
+
+// ===== VALIDATION / STORAGE =====
+function normalizeKeyProfile(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.bindings)) {
+        throw new Error('Not a keyboard mapping profile');
+    }
+    const bindings = data.bindings.filter(binding =>
+        binding &&
+        typeof binding.key === 'string' && binding.key &&
+        typeof binding.code === 'string' &&
+        typeof binding.note === 'string' && /^[A-G]#?-?\d$/.test(binding.note)
+    );
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : createKeyProfileId(),
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'My mapping',
+        builtIn: false,
+        bindings: bindings.map(({ key, code, note }) => ({ key, code, note }))
+    };
+}
+
+function createKeyProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function loadKeyProfiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(KEY_PROFILES_STORAGE_KEY)) || [];
+        return stored.map(normalizeKeyProfile);
+    } catch (error) {
+        console.warn(`⚠️ Could not read saved keyboard mappings: ${error.message}`);
+        return [];
+    }
+}
+
+function saveKeyProfiles(profiles) {
+    try {
+        localStorage.setItem(KEY_PROFILES_STORAGE_KEY, JSON.stringify(profiles.filter(profile => !profile.builtIn)));
+    } catch (error) {
+        console.warn(`⚠️ Could not save keyboard mappings: ${error.message}`);
+    }
+}
+
+// Which profile is active and how keys are matched
+function loadKeyMappingSettings() {
+    try {
+        return {
+            activeProfileId: localStorage.getItem(ACTIVE_KEY_PROFILE_STORAGE_KEY) || 'qwerty',
+            matchPhysicalKeys: localStorage.getItem(MATCH_PHYSICAL_KEYS_STORAGE_KEY) === 'true'
+        };
+    } catch (error) {
+        return { activeProfileId: 'qwerty', matchPhysicalKeys: false };
+    }
+}
+
+function saveKeyMappingSettings(activeProfileId, matchPhysicalKeys) {
+    try {
+        localStorage.setItem(ACTIVE_KEY_PROFILE_STORAGE_KEY, activeProfileId);
+        localStorage.setItem(MATCH_PHYSICAL_KEYS_STORAGE_KEY, String(matchPhysicalKeys));
+    } catch (error) {
+        console.warn(`⚠️ Could not save keyboard mapping settings: ${error.message}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        builtInKeyProfiles,
+        getBindingToken,
+        getEventToken,
+        normalizeKeyProfile
+    };
+}
@@ -0,0 +1,169 @@
+// ===== LESSONS (built-in songs, practice selection, scoring) =====
+// A lesson note: { note: 'C4', midi, time, duration, hand: 'left' | 'right', practice, result }
+// time and duration are ms of song time (before any slow-down). `practice` marks the notes the
+// student plays; the rest are accompaniment. `result` is filled in while playing:
+// { hit, offset } with offset in real ms (negative = early), null when not timed.
+// Uses noteNameToMidi from midi-file.js.
+
+const LESSON_SPLIT_MIDI = 60; // notes below middle C go to the left hand in imported songs
+const LESSON_HIT_WINDOW = 200; // ms either side of a note that still counts as a hit
+const LESSON_STEP_TOLERANCE = 40; // ms, notes this close together form one step (a chord)
+const LESSON_TIMING_GRADES = [
+    { grade: 'perfect', within: 50 },
+    { grade: 'good', within: 100 },
+    { grade: 'ok', within: LESSON_HIT_WINDOW }
+];
+
+// Parts are written as 'note:beats' tokens in order ('C3+E3+G3:2' is a chord, '-:1' a rest)
+const LESSON_SONGS = [
+    {
+        id: 'c-major-scale',
+        name: 'C Major Scale (hands an octave apart)',
+        bpm: 90,
+        right: 'C4 D4 E4 F4 G4 A4 B4 C5 B4 A4 G4 F4 E4 D4 C4:2',
+        left: 'C3 D3 E3 F3 G3 A3 B3 C4 B3 A3 G3 F3 E3 D3 C3:2'
+    },
+    {
+        id: 'twinkle',
+        name: 'Twinkle Twinkle Little Star',
+        bpm: 100,
+        right: 'C4 C4 G4 G4 A4 A4 G4:2 F4 F4 E4 E4 D4 D4 C4:2 ' +
+            'G4 G4 F4 F4 E4 E4 D4:2 G4 G4 F4 F4 E4 E4 D4:2 ' +
+            'C4 C4 G4 G4 A4 A4 G4:2 F4 F4 E4 E4 D4 D4 C4:2',
+        left: 'C3:4 F3:2 C3:2 F3:2 C3:2 G3:2 C3:2 ' +
+            'C3:2 F3:2 C3:2 G3:2 C3:2 F3:2 C3:2 G3:2 ' +
+            'C3:4 F3:2 C3:2 F3:2 C3:2 G3:2 C3:2'
+    },
+    {
+        id: 'ode-to-joy',
+        name: 'Ode to Joy',
+        bpm: 110,
+        right: 'E4 E4 F4 G4 G4 F4 E4 D4 C4 C4 D4 E4 E4:1.5 D4:0.5 D4:2 ' +
+            'E4 E4 F4 G4 G4 F4 E4 D4 C4 C4 D4 E4 D4:1.5 C4:0.5 C4:2',
+        left: 'C3+G3:4 G2+G3:4 C3+G3:4 C3:2 G2:2 ' +
+            'C3+G3:4 G2+G3:4 C3+G3:4 G2:2 C3:2'
+    }
+];
+
+function parseSongPart(text, bpm, hand) {
+    const beatLength = 60000 / bpm;
+    const notes = [];
+    let beat = 0;
+
+    text.trim().split(/\s+/).forEach(token => {
+        const [pitches, beatsText] = token.split(':');
+        const beats = beatsText ? parseFloat(beatsText) : 1;
+        if (pitches !== '-') {
+            pitches.split('+').forEach(note => {
+                notes.push({ note, midi: noteNameToMidi(note), time: beat * beatLength, duration: beats * beatLength * 0.9, hand });
+            });
+        }
+        beat += beats;
+    });
+    return notes;
+}
+
+function sortLessonNotes(notes) {
+    return notes.sort((a, b) => a.time - b.time || a.midi - b.midi);
+}
+
+function songToLessonNotes(song) {
+    return sortLessonNotes([
+        ...parseSongPart(song.right, song.bpm, 'right'),
+        ...parseSongPart(song.left, song.bpm, 'left')
+    ]);
+}
+
+// Recorded or imported notes ({ note, time, duration } in ms): hands split at middle C
+function recordingToLessonNotes(notes) {
+    const start = notes.reduce((min, note) => Math.min(min, note.time), Infinity);
+    return sortLessonNotes(notes.map(note => {
+        const midi = noteNameToMidi(note.note);
+        return {
+            note: note.note,
+            midi,
+            time: note.time - start,
+            duration: note.duration == null ? 150 : note.duration,
+            hand: midi < LESSON_SPLIT_MIDI ? 'left' : 'right'
+        };
+    }));
+}
+
+// practice: { part: 'both' | 'left' | 'right' | 'range', low, high } (low/high are MIDI notes)
+function selectPracticeNotes(notes, practice) {
+    return notes.map(note => {
+        let isPractised = true;
+        if (practice.part === 'left' || practice.part === 'right') isPractised = note.hand === practice.part;
+        if (practice.part === 'range') isPractised = note.midi >= practice.low && note.midi <= practice.high;
+        return { ...note, practice: isPractised, result: null };
+    });
+}
+
+// Practice notes grouped into steps: everything that starts together is played together
+function groupLessonSteps(notes) {
+    const steps = [];
+    notes.filter(note => note.practice).forEach(note => {
+        const step = steps[steps.length - 1];
+        if (step && note.time - step.time <= LESSON_STEP_TOLERANCE) {
+            step.notes.push(note);
+        } else {
+            steps.push({ time: note.time, notes: [note] });
+        }
+    });
+    return steps;
+}
+
+function judgeTiming(offset) {
+    const match = LESSON_TIMING_GRADES.find(entry => Math.abs(offset) <= entry.within);
+    return match ? match.grade : 'ok';
+}
+
+// wrongNotes: MIDI numbers of presses that matched no note (given to a hand by the split point)
+function summarizeLesson(notes, wrongNotes) {
+    const practised = notes.filter(note => note.practice);
+    const hits = practised.filter(note => note.result && note.result.hit);
+    const timed = hits.filter(note => note.result.offset != null);
+    const grades = { perfect: 0, good: 0, ok: 0 };
+    timed.forEach(note => grades[judgeTiming(note.result.offset)]++);
+
+    const getAccuracy = (hitCount, total, wrong) => (total + wrong ? Math.round((hitCount / (total + wrong)) * 100) : 0);
+    const byHand = {};
+    ['left', 'right'].forEach(hand => {
+        const handNotes = practised.filter(note => note.hand === hand);
+        if (handNotes.length === 0) return;
+        const handHits = handNotes.filter(note => note.result && note.result.hit).length;
+        const handWrong = wrongNotes.filter(midi => (midi < LESSON_SPLIT_MIDI) === (hand === 'left')).length;
+        byHand[hand] = {
+            total: handNotes.length,
+            hits: handHits,
+            wrong: handWrong,
+            accuracy: getAccuracy(handHits, handNotes.length, handWrong)
+        };
+    });
+
+    const average = values => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+    return {
+        total: practised.length,
+        hits: hits.length,
+        misses: practised.length - hits.length,
+        wrong: wrongNotes.length,
+        accuracy: getAccuracy(hits.length, practised.length, wrongNotes.length),
+        grades,
+        meanOffset: average(timed.map(note => note.result.offset)),
+        meanAbsOffset: average(timed.map(note => Math.abs(note.result.offset))),
+        byHand
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSON_SONGS,
+        LESSON_HIT_WINDOW,
+        songToLessonNotes,
+        recordingToLessonNotes,
+        selectPracticeNotes,
+        groupLessonSteps,
+        judgeTiming,
+        summarizeLesson
+    };
+}
@@ -0,0 +1,69 @@
+// ===== LOOPER TRACKS (several parts looping together) =====
+// A track: { id, name, preset, volume, muted, solo, notes: [{ note, frequency, time, duration, velocity }] }
+// note.time is ms from the start of the loop and the notes are kept sorted by it. Looper
+// time counts ms from the start of the first pass, so pass n starts at n * loopLength.
+
+const LOOPER_MAX_TRACKS = 8;
+
+function createLoopTrackId() {
+    return `track-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createLoopTrack(name, preset) {
+    return {
+        id: createLoopTrackId(),
+        name,
+        preset,
+        volume: 0.8,
+        muted: false,
+        solo: false,
+        notes: []
+    };
+}
+
+// Position inside the loop for any looper time (also before the first pass)
+function wrapLoopTime(time, loopLength) {
+    return ((time % loopLength) + loopLength) % loopLength;
+}
+
+// Mute always silences a track; once any track is soloed, only soloed tracks play
+function isTrackAudible(track, tracks) {
+    if (track.muted) return false;
+    return track.solo || !tracks.some(other => other.solo);
+}
+
+// Notes of a track starting in [from, to) looper time, repeated on every pass they fall in.
+// Notes past the loop end (the loop was shortened) are skipped.
+function getLoopNotesBetween(track, from, to, loopLength) {
+    const found = [];
+    const firstPass = Math.max(0, Math.floor(from / loopLength));
+    const lastPass = Math.floor(to / loopLength);
+
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+        const passStart = pass * loopLength;
+        track.notes.forEach(note => {
+            if (note.time >= loopLength) return;
+            const at = passStart + note.time;
+            if (at >= from && at < to) found.push({ note, at });
+        });
+    }
+    return found;
+}
+
+// Keep the notes sorted as overdubbed notes come in
+function insertLoopNote(track, note) {
+    let index = track.notes.length;
+    while (index > 0 && track.notes[index - 1].time > note.time) index--;
+    track.notes.splice(index, 0, note);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOOPER_MAX_TRACKS,
+        createLoopTrack,
+        wrapLoopTime,
+        isTrackAudible,
+        getLoopNotesBetween,
+        insertLoopNote
+    };
+}
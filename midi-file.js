@@ -0,0 +1,317 @@
+// ===== STANDARD MIDI FILE (SMF) READER / WRITER =====
+// Pure functions (no DOM / Web Audio) so they can be used in the browser and in Node.
+// Notes are plain objects: { midi, start, duration, velocity } with times in milliseconds
+// and velocity 1-127. Sustain pedal (CC64) changes are { start, down }.
+
+const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const DEFAULT_MIDI_PPQ = 480; // ticks per quarter note
+const DEFAULT_MIDI_BPM = 120;
+
+// ===== NOTE NAME HELPERS =====
+function midiToNoteName(midi) {
+    const octave = Math.floor(midi / 12) - 1;
+    return `${MIDI_NOTE_NAMES[midi % 12]}${octave}`;
+}
+
+function noteNameToMidi(noteName) {
+    const match = /^([A-G]#?)(-?\d+)$/.exec(noteName);
+    if (!match) return null;
+    return (parseInt(match[2], 10) + 1) * 12 + MIDI_NOTE_NAMES.indexOf(match[1]);
+}
+
+// ===== VARIABLE-LENGTH QUANTITIES =====
+function encodeVarLen(value) {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+function readVarLen(data, offset) {
+    let value = 0;
+    let length = 0;
+    let byte;
+    do {
+        if (offset + length >= data.length) throw new Error('Unexpected end of MIDI data');
+        byte = data[offset + length];
+        value = (value << 7) | (byte & 0x7f);
+        length++;
+    } while (byte & 0x80 && length < 4);
+    return { value, length };
+}
+
+// ===== WRITER =====
+function buildChunk(type, body) {
+    const length = body.length;
+    return [
+        ...Array.from(type, c => c.charCodeAt(0)),
+        (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...body
+    ];
+}
+
+// Turn absolute-tick events into a track body with delta times and an end-of-track marker
+function buildTrackBody(events) {
+    const body = [];
+    let lastTick = 0;
+    events.forEach(event => {
+        body.push(...encodeVarLen(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    });
+    body.push(0x00, 0xff, 0x2f, 0x00);
+    return body;
+}
+
+function buildTextMeta(type, text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    return [0xff, type, ...encodeVarLen(bytes.length), ...bytes];
+}
+
+// Write notes to a Type 0 (single track) or Type 1 (tempo track + note track) MIDI file
+function writeMidiFile(notes, options = {}) {
+    const format = options.format === 0 ? 0 : 1;
+    const ppq = options.ppq || DEFAULT_MIDI_PPQ;
+    const bpm = options.bpm || DEFAULT_MIDI_BPM;
+    const channel = (options.channel || 0) & 0x0f;
+    const timeSignature = options.timeSignature || [4, 4];
+    const ticksPerMs = (ppq * bpm) / 60000;
+    const toTicks = ms => Math.max(0, Math.round(ms * ticksPerMs));
+
+    const microsPerQuarter = Math.round(60000000 / bpm);
+    const tempoEvents = [
+        { tick: 0, bytes: [0xff, 0x51, 0x03, (microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff] },
+        { tick: 0, bytes: [0xff, 0x58, 0x04, timeSignature[0], Math.round(Math.log2(timeSignature[1])), 24, 8] }
+    ];
+
+    const noteEvents = [];
+    notes.forEach(note => {
+        const midi = Math.max(0, Math.min(127, Math.round(note.midi)));
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity || 100)));
+        const startTick = toTicks(note.start);
+        const endTick = Math.max(startTick + 1, toTicks(note.start + note.duration));
+        noteEvents.push({ tick: startTick, order: 2, bytes: [0x90 | channel, midi, velocity] });
+        noteEvents.push({ tick: endTick, order: 0, bytes: [0x80 | channel, midi, 0x40] });
+    });
+    (options.pedalEvents || []).forEach(event => {
+        noteEvents.push({ tick: toTicks(event.start), order: 1, bytes: [0xb0 | channel, 64, event.down ? 127 : 0] });
+    });
+
+    // Note-offs go before note-ons on the same tick so repeated notes are not cut short
+    noteEvents.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const nameEvents = options.trackName ? [{ tick: 0, bytes: buildTextMeta(0x03, options.trackName) }] : [];
+
+    let tracks;
+    if (format === 0) {
+        tracks = [buildTrackBody([...nameEvents, ...tempoEvents, ...noteEvents])];
+    } else {
+        tracks = [buildTrackBody(tempoEvents), buildTrackBody([...nameEvents, ...noteEvents])];
+    }
+
+    const header = buildChunk('MThd', [
+        0x00, format,
+        (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+        (ppq >> 8) & 0x7f, ppq & 0xff
+    ]);
+    const bytes = tracks.reduce((all, body) => all.concat(buildChunk('MTrk', body)), header);
+    return new Uint8Array(bytes);
+}
+
+// ===== READER =====
+function readChunkHeader(data, offset) {
+    if (offset + 8 > data.length) return null;
+    const type = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+    const length = ((data[offset + 4] << 24) | (data[offset + 5] << 16) | (data[offset + 6] << 8) | data[offset + 7]) >>> 0;
+    return { type, length, start: offset + 8 };
+}
+
+// Parse one MTrk chunk into absolute-tick note and meta events
+function parseTrack(data, start, end, trackIndex) {
+    const events = [];
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (offset < end) {
+        const delta = readVarLen(data, offset);
+        offset += delta.length;
+        tick += delta.value;
+
+        let status = data[offset];
+        if (status & 0x80) {
+            offset++;
+        } else if (runningStatus !== null) {
+            status = runningStatus;
+        } else {
+            throw new Error(`Invalid MIDI event in track ${trackIndex + 1}`);
+        }
+
+        if (status === 0xff) {
+            const type = data[offset++];
+            const length = readVarLen(data, offset);
+            offset += length.length;
+            const payload = data.subarray(offset, offset + length.value);
+            offset += length.value;
+            if (type === 0x51 && payload.length === 3) {
+                events.push({ kind: 'tempo', tick, microsPerQuarter: (payload[0] << 16) | (payload[1] << 8) | payload[2] });
+            } else if (type === 0x58 && payload.length >= 2) {
+                events.push({ kind: 'timeSignature', tick, numerator: payload[0], denominator: Math.pow(2, payload[1]) });
+            } else if (type === 0x03) {
+                events.push({ kind: 'name', tick, text: new TextDecoder().decode(payload) });
+            } else if (type === 0x2f) {
+                break;
+            }
+            runningStatus = null;
+        } else if (status === 0xf0 || status === 0xf7) {
+            const length = readVarLen(data, offset);
+            offset += length.length + length.value;
+            runningStatus = null;
+        } else {
+            const type = status & 0xf0;
+            const channel = status & 0x0f;
+            const dataLength = (type === 0xc0 || type === 0xd0) ? 1 : 2;
+            const data1 = data[offset];
+            const data2 = dataLength === 2 ? data[offset + 1] : 0;
+            offset += dataLength;
+            runningStatus = status;
+
+            if (type === 0x90 && data2 > 0) {
+                events.push({ kind: 'noteOn', tick, channel, midi: data1, velocity: data2, track: trackIndex });
+            } else if (type === 0x80 || type === 0x90) {
+                events.push({ kind: 'noteOff', tick, channel, midi: data1, track: trackIndex });
+            } else if (type === 0xb0 && data1 === 64) {
+                events.push({ kind: 'pedal', tick, down: data2 >= 64 });
+            }
+        }
+    }
+
+    return { events, endTick: tick };
+}
+
+// Build a function converting ticks to milliseconds from the tempo changes in the file
+function buildTickToMs(division, tempoEvents) {
+    if (division & 0x8000) {
+        // SMPTE time: frames per second and ticks per frame
+        const fps = 256 - (division >> 8);
+        const ticksPerFrame = division & 0xff;
+        return tick => (tick * 1000) / (fps * ticksPerFrame);
+    }
+
+    const ppq = division;
+    const segments = [{ tick: 0, ms: 0, microsPerQuarter: 60000000 / DEFAULT_MIDI_BPM }];
+    tempoEvents
+        .slice()
+        .sort((a, b) => a.tick - b.tick)
+        .forEach(event => {
+            const last = segments[segments.length - 1];
+            const ms = last.ms + ((event.tick - last.tick) * last.microsPerQuarter) / ppq / 1000;
+            segments.push({ tick: event.tick, ms, microsPerQuarter: event.microsPerQuarter });
+        });
+
+    return tick => {
+        let segment = segments[0];
+        for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) {
+            segment = segments[i];
+        }
+        return segment.ms + ((tick - segment.tick) * segment.microsPerQuarter) / ppq / 1000;
+    };
+}
+
+// Parse a Standard MIDI File (ArrayBuffer or Uint8Array) into notes with ms timings
+function parseMidiFile(buffer) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const header = readChunkHeader(data, 0);
+    if (!header || header.type !== 'MThd' || header.length < 6) {
+        throw new Error('Not a Standard MIDI File (missing MThd header)');
+    }
+
+    const format = (data[header.start] << 8) | data[header.start + 1];
+    const trackCount = (data[header.start + 2] << 8) | data[header.start + 3];
+    const division = (data[header.start + 4] << 8) | data[header.start + 5];
+    if (format > 2) throw new Error(`Unsupported MIDI format ${format}`);
+    if (division === 0) throw new Error('Invalid MIDI time division');
+
+    const tracks = [];
+    let offset = header.start + header.length;
+    while (tracks.length < trackCount) {
+        const chunk = readChunkHeader(data, offset);
+        if (!chunk) break;
+        const end = Math.min(chunk.start + chunk.length, data.length);
+        if (chunk.type === 'MTrk') {
+            tracks.push(parseTrack(data, chunk.start, end, tracks.length));
+        }
+        offset = chunk.start + chunk.length;
+    }
+    if (tracks.length === 0) throw new Error('MIDI file contains no tracks');
+
+    const allEvents = tracks.reduce((all, track) => all.concat(track.events), []);
+    const tempoEvents = allEvents.filter(event => event.kind === 'tempo');
+    const timeSignature = allEvents.find(event => event.kind === 'timeSignature');
+    const trackName = allEvents.find(event => event.kind === 'name');
+    const tickToMs = buildTickToMs(division, tempoEvents);
+
+    // Pair note-ons with note-offs (first in, first out per track/channel/pitch)
+    const notes = [];
+    tracks.forEach(track => {
+        const open = new Map();
+        track.events.forEach(event => {
+            if (event.kind !== 'noteOn' && event.kind !== 'noteOff') return;
+            const id = `${event.channel}:${event.midi}`;
+            if (event.kind === 'noteOn') {
+                if (!open.has(id)) open.set(id, []);
+                open.get(id).push(event);
+                return;
+            }
+            const pending = open.get(id);
+            if (!pending || pending.length === 0) return;
+            const noteOn = pending.shift();
+            notes.push({ noteOn, endTick: event.tick });
+        });
+        // Notes never released end with their track
+        open.forEach(pending => pending.forEach(noteOn => notes.push({ noteOn, endTick: track.endTick })));
+    });
+
+    // Sustain pedal changes across all tracks, repeated states dropped
+    const pedalEvents = [];
+    allEvents
+        .filter(event => event.kind === 'pedal')
+        .sort((a, b) => a.tick - b.tick)
+        .forEach(event => {
+            const last = pedalEvents[pedalEvents.length - 1];
+            if (last ? last.down !== event.down : event.down) {
+                pedalEvents.push({ start: tickToMs(event.tick), down: event.down });
+            }
+        });
+
+    const result = notes
+        .map(({ noteOn, endTick }) => {
+            const start = tickToMs(noteOn.tick);
+            return {
+                midi: noteOn.midi,
+                start,
+                duration: Math.max(0, tickToMs(endTick) - start),
+                velocity: noteOn.velocity,
+                channel: noteOn.channel,
+                track: noteOn.track
+            };
+        })
+        .sort((a, b) => a.start - b.start || a.midi - b.midi);
+
+    return {
+        format,
+        division,
+        trackCount: tracks.length,
+        bpm: tempoEvents.length ? Math.round(60000000 / tempoEvents[0].microsPerQuarter * 100) / 100 : DEFAULT_MIDI_BPM,
+        timeSignature: timeSignature ? [timeSignature.numerator, timeSignature.denominator] : null,
+        name: trackName ? trackName.text : null,
+        notes: result,
+        pedalEvents
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { writeMidiFile, parseMidiFile, midiToNoteName, noteNameToMidi, encodeVarLen, readVarLen };
+}
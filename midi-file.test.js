@@ -0,0 +1,124 @@
+// ===== STANDARD MIDI FILE TESTS =====
+// Runs in Node without a browser: node midi-file.test.js
+
+const assert = require('assert').strict;
+const { writeMidiFile, parseMidiFile, midiToNoteName, noteNameToMidi, encodeVarLen, readVarLen } = require('./midi-file.js');
+
+let failures = 0;
+
+function test(name, run) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+// Times are multiples of 125 ms so they land exactly on ticks at 120 BPM / 480 PPQ
+const NOTES = [
+    { midi: 60, start: 0, duration: 500, velocity: 100 },
+    { midi: 64, start: 250, duration: 250, velocity: 80 },
+    { midi: 67, start: 500, duration: 1000, velocity: 127 },
+    { midi: 60, start: 1000, duration: 125, velocity: 1 }
+];
+const PEDAL = [{ start: 0, down: true }, { start: 1500, down: false }];
+
+function playedNotes(parsed) {
+    return parsed.notes.map(({ midi, start, duration, velocity }) => ({ midi, start, duration, velocity }));
+}
+
+// A header plus one track, given as raw bytes
+function buildFile(format, division, trackBytes) {
+    const length = trackBytes.length;
+    return new Uint8Array([
+        0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, 1, (division >> 8) & 0xff, division & 0xff,
+        0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...trackBytes
+    ]);
+}
+
+test('variable-length quantities round-trip', () => {
+    [0, 0x7f, 0x80, 0x3fff, 0x4000, 0x0fffffff].forEach(value => {
+        const bytes = encodeVarLen(value);
+        assert.deepEqual(readVarLen(bytes, 0), { value, length: bytes.length });
+    });
+});
+
+test('note names convert both ways', () => {
+    assert.equal(midiToNoteName(60), 'C4');
+    assert.equal(midiToNoteName(0), 'C-1');
+    assert.equal(midiToNoteName(127), 'G9');
+    assert.equal(noteNameToMidi('A0'), 21);
+    assert.equal(noteNameToMidi('C-1'), 0);
+    assert.equal(noteNameToMidi('H4'), null);
+});
+
+test('Type 1 file round-trips notes, pedal, tempo, meter and name', () => {
+    const parsed = parseMidiFile(writeMidiFile(NOTES, { bpm: 120, timeSignature: [3, 4], pedalEvents: PEDAL, trackName: 'Take' }));
+    assert.equal(parsed.format, 1);
+    assert.equal(parsed.trackCount, 2);
+    assert.equal(parsed.bpm, 120);
+    assert.deepEqual(parsed.timeSignature, [3, 4]);
+    assert.equal(parsed.name, 'Take');
+    assert.deepEqual(playedNotes(parsed), NOTES);
+    assert.deepEqual(parsed.pedalEvents, PEDAL);
+});
+
+test('Type 0 file holds everything in one track with the same notes', () => {
+    const parsed = parseMidiFile(writeMidiFile(NOTES, { format: 0, pedalEvents: PEDAL }));
+    assert.equal(parsed.format, 0);
+    assert.equal(parsed.trackCount, 1);
+    assert.deepEqual(playedNotes(parsed), NOTES);
+    assert.deepEqual(parsed.pedalEvents, PEDAL);
+});
+
+test('tempo other than the default keeps the timings', () => {
+    const notes = [{ midi: 72, start: 0, duration: 600, velocity: 90 }, { midi: 74, start: 600, duration: 300, velocity: 90 }];
+    const parsed = parseMidiFile(writeMidiFile(notes, { bpm: 100 }));
+    assert.equal(parsed.bpm, 100);
+    assert.deepEqual(playedNotes(parsed), notes);
+});
+
+test('out-of-range pitches and velocities are clamped when writing', () => {
+    const parsed = parseMidiFile(writeMidiFile([
+        { midi: -5, start: 0, duration: 500, velocity: 0 },
+        { midi: 200, start: 0, duration: 500, velocity: 300 }
+    ]));
+    assert.deepEqual(playedNotes(parsed), [
+        { midi: 0, start: 0, duration: 500, velocity: 100 }, // velocity 0 means "not given"
+        { midi: 127, start: 0, duration: 500, velocity: 127 }
+    ]);
+});
+
+test('running status and note-on with velocity 0 are read as note-offs', () => {
+    // 96 PPQ, no tempo event (120 BPM): 96 ticks = 500 ms
+    const parsed = parseMidiFile(buildFile(0, 96, [
+        0x00, 0x90, 60, 100,
+        0x60, 60, 0, // running status note-on, velocity 0
+        0x00, 64, 90,
+        0x60, 0x80, 64, 64,
+        0x00, 0xff, 0x2f, 0x00
+    ]));
+    assert.deepEqual(playedNotes(parsed), [
+        { midi: 60, start: 0, duration: 500, velocity: 100 },
+        { midi: 64, start: 500, duration: 500, velocity: 90 }
+    ]);
+    assert.equal(parsed.timeSignature, null);
+});
+
+test('notes left on end with their track', () => {
+    const parsed = parseMidiFile(buildFile(0, 96, [0x00, 0x90, 60, 100, 0x60, 0xff, 0x2f, 0x00]));
+    assert.deepEqual(playedNotes(parsed), [{ midi: 60, start: 0, duration: 500, velocity: 100 }]);
+});
+
+test('broken files throw', () => {
+    assert.throws(() => parseMidiFile(new Uint8Array([1, 2, 3])), /missing MThd/);
+    assert.throws(() => parseMidiFile(buildFile(3, 96, [0x00, 0xff, 0x2f, 0x00])), /Unsupported MIDI format 3/);
+    assert.throws(() => parseMidiFile(buildFile(0, 96, [0x00, 60, 100])), /Invalid MIDI event/);
+    assert.throws(() => parseMidiFile(buildFile(0, 96, [0x80])), /Unexpected end/);
+});
+
+console.log(failures === 0 ? '\n🎉 All MIDI file tests passed' : `\n⚠️ ${failures} MIDI file test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,121 @@
+// ===== MUSIC THEORY (scales, chord voicings, chord names) =====
+// Pitch classes are 0-11 from C; notes are MIDI numbers. Names use sharps, like the keyboard.
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitones above the root
+const SCALES = {
+    major: { name: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { name: 'Natural Minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10] },
+    harmonicMinor: { name: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+    melodicMinor: { name: 'Melodic Minor', intervals: [0, 2, 3, 5, 7, 9, 11] },
+    dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+    locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+    majorPentatonic: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9] },
+    minorPentatonic: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10] },
+    blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] }
+};
+
+// In lookup order: when one set of notes has several names, the earlier chord wins
+const CHORD_TYPES = {
+    major: { suffix: '', intervals: [0, 4, 7] },
+    minor: { suffix: 'm', intervals: [0, 3, 7] },
+    dom7: { suffix: '7', intervals: [0, 4, 7, 10] },
+    maj7: { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+    min7: { suffix: 'm7', intervals: [0, 3, 7, 10] },
+    halfDim7: { suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+    dim7: { suffix: 'dim7', intervals: [0, 3, 6, 9] },
+    minMaj7: { suffix: 'mMaj7', intervals: [0, 3, 7, 11] },
+    dim: { suffix: 'dim', intervals: [0, 3, 6] },
+    aug: { suffix: 'aug', intervals: [0, 4, 8] },
+    sus4: { suffix: 'sus4', intervals: [0, 5, 7] },
+    sus2: { suffix: 'sus2', intervals: [0, 2, 7] },
+    dom7sus4: { suffix: '7sus4', intervals: [0, 5, 7, 10] },
+    six: { suffix: '6', intervals: [0, 4, 7, 9] },
+    min6: { suffix: 'm6', intervals: [0, 3, 7, 9] },
+    add9: { suffix: 'add9', intervals: [0, 2, 4, 7] },
+    dom9: { suffix: '9', intervals: [0, 2, 4, 7, 10] },
+    maj9: { suffix: 'maj9', intervals: [0, 2, 4, 7, 11] },
+    min9: { suffix: 'm9', intervals: [0, 2, 3, 7, 10] },
+    power: { suffix: '5', intervals: [0, 7] }
+};
+
+function toPitchClass(midi) {
+    return ((midi % 12) + 12) % 12;
+}
+
+function getScalePitchClasses(rootPitchClass, scaleId) {
+    const scale = SCALES[scaleId];
+    if (!scale) return [];
+    return scale.intervals.map(interval => (rootPitchClass + interval) % 12);
+}
+
+// Root-position voicing of a chord type
+function buildChord(rootMidi, chordId) {
+    return CHORD_TYPES[chordId].intervals.map(interval => rootMidi + interval);
+}
+
+// Stack every other scale note from the pressed one (triad or seventh chord in the key).
+// Returns null when the note is not in the scale.
+function buildDiatonicChord(rootMidi, scalePitchClasses, size = 3) {
+    const degree = scalePitchClasses.indexOf(toPitchClass(rootMidi));
+    if (degree === -1) return null;
+
+    const notes = [rootMidi];
+    for (let i = 1; i < size; i++) {
+        const target = scalePitchClasses[(degree + i * 2) % scalePitchClasses.length];
+        let midi = notes[notes.length - 1] + 1;
+        while (toPitchClass(midi) !== target) midi++;
+        notes.push(midi);
+    }
+    return notes;
+}
+
+function sameIntervals(a, b) {
+    return a.length === b.length && a.every((interval, i) => interval === b[i]);
+}
+
+// Name the chord a set of notes makes, e.g. "Cmaj7/E". Inversions get a slash bass;
+// a seventh or ninth chord may leave out its fifth. Returns null for single notes and
+// combinations that are not a known chord.
+function detectChord(midiNotes) {
+    if (midiNotes.length < 2) return null;
+    const bass = toPitchClass(Math.min(...midiNotes));
+    const pitchClasses = Array.from(new Set(midiNotes.map(toPitchClass)));
+    if (pitchClasses.length < 2) return null;
+
+    // Try the bass as the root first, so root position beats a slash chord with the same notes
+    const roots = [bass, ...pitchClasses.filter(pc => pc !== bass)];
+    for (const allowNoFifth of [false, true]) {
+        for (const root of roots) {
+            const intervals = pitchClasses.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
+            for (const id of Object.keys(CHORD_TYPES)) {
+                let chordIntervals = CHORD_TYPES[id].intervals;
+                if (allowNoFifth) {
+                    if (chordIntervals.length < 4) continue;
+                    chordIntervals = chordIntervals.filter(interval => interval !== 7);
+                }
+                if (sameIntervals(intervals, chordIntervals)) {
+                    const name = PITCH_CLASS_NAMES[root] + CHORD_TYPES[id].suffix;
+                    return root === bass ? name : `${name}/${PITCH_CLASS_NAMES[bass]}`;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PITCH_CLASS_NAMES,
+        SCALES,
+        CHORD_TYPES,
+        getScalePitchClasses,
+        buildChord,
+        buildDiatonicChord,
+        detectChord
+    };
+}
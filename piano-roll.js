@@ -0,0 +1,82 @@
+// ===== PIANO ROLL HELPERS (grid, quantize, undo history) =====
+// Times are in the recording's time base (recordedNotes timestamps, ms). The grid follows
+// the take's meter: bar lines at meter.downbeat + n bars, divisions are fractions of a whole note.
+
+const ROLL_GRID_DIVISIONS = { '1/4': 1 / 4, '1/8': 1 / 8, '1/8t': 1 / 12, '1/16': 1 / 16, '1/16t': 1 / 24, '1/32': 1 / 32 };
+const EDIT_HISTORY_LIMIT = 100;
+
+// Length of one grid step in ms; meter.bpm counts the signature's beat unit
+function getGridLength(meter, division) {
+    const wholeNote = meter.timeSignature[1] * 60000 / meter.bpm;
+    return wholeNote * ROLL_GRID_DIVISIONS[division];
+}
+
+// Nearest grid line to a time
+function snapTime(time, gridLength, downbeat) {
+    return downbeat + Math.round((time - downbeat) / gridLength) * gridLength;
+}
+
+// Last bar line at or before a time
+function getBarStart(time, meter) {
+    const barLength = getBarLength(meter.bpm, meter.timeSignature);
+    return meter.downbeat + Math.floor((time - meter.downbeat) / barLength) * barLength;
+}
+
+// Pull note starts toward the grid: strength 1 snaps them, 0.5 goes halfway, 0 leaves them.
+// Only the indices in `selection` move (all notes when it is empty); lengths are kept.
+function quantizeNotes(notes, meter, division, strength = 1, selection = null) {
+    const gridLength = getGridLength(meter, division);
+    return notes.map((note, index) => {
+        if (selection && selection.size > 0 && !selection.has(index)) return note;
+        const target = snapTime(note.timestamp, gridLength, meter.downbeat);
+        return { ...note, timestamp: Math.round(note.timestamp + (target - note.timestamp) * strength) };
+    });
+}
+
+function cloneNotes(notes) {
+    return notes.map(note => ({ ...note }));
+}
+
+// Undo/redo keeps whole copies of the notes - a take is small, and copies can't drift
+// out of step with the edit that made them
+function createEditHistory(limit = EDIT_HISTORY_LIMIT) {
+    const undoStack = [];
+    const redoStack = [];
+
+    return {
+        // Call with the notes as they were before an edit
+        record(notes) {
+            undoStack.push(cloneNotes(notes));
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+        },
+        undo(currentNotes) {
+            if (undoStack.length === 0) return null;
+            redoStack.push(cloneNotes(currentNotes));
+            return undoStack.pop();
+        },
+        redo(currentNotes) {
+            if (redoStack.length === 0) return null;
+            undoStack.push(cloneNotes(currentNotes));
+            return redoStack.pop();
+        },
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+        },
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROLL_GRID_DIVISIONS,
+        getGridLength,
+        snapTime,
+        getBarStart,
+        quantizeNotes,
+        cloneNotes,
+        createEditHistory
+    };
+}
@@ -0,0 +1,178 @@
+// ===== PRESET LIBRARY (user-defined sound presets) =====
+// A preset is stored and exported as the same JSON object:
+// {
+//   format: 'online-piano-preset', version: 1, id, name,
+//   waveform, partials: [1.0, 0.45, ...],          // amplitude of each harmonic
+//   inharmonicity, detune,                         // string stiffness (B), partial spread in cents
+//   filterType, filterFreq, filterQ,               // filterFreq is a multiple of the note frequency
+//   attack, decay, sustain, release, noiseLevel,
+//   effects: { compressor, eq, delay, reverb }     // master bus, each with bypass + mix
+// }
+// Saved presets live in localStorage; a .json file may hold one preset or an array.
+
+const PRESET_FORMAT = 'online-piano-preset';
+const PRESET_SCHEMA_VERSION = 1;
+const PRESET_STORAGE_KEY = 'online-piano-presets';
+const PRESET_WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+const PRESET_FILTER_TYPES = ['lowpass', 'bandpass', 'highpass'];
+const MAX_PRESET_PARTIALS = 12;
+
+// Allowed range and fallback for every numeric setting
+const PRESET_LIMITS = {
+    inharmonicity: { min: 0, max: 0.002, fallback: 0 },
+    detune: { min: 0, max: 50, fallback: 0 },
+    filterFreq: { min: 1, max: 16, fallback: 6 },
+    filterQ: { min: 0.1, max: 10, fallback: 0.7 },
+    attack: { min: 0.001, max: 2, fallback: 0.01 },
+    decay: { min: 0.01, max: 4, fallback: 0.3 },
+    sustain: { min: 0, max: 1, fallback: 0.7 },
+    release: { min: 0.05, max: 6, fallback: 1.5 },
+    noiseLevel: { min: 0, max: 1, fallback: 0.3 }
+};
+
+// ===== MASTER EFFECTS SETTINGS =====
+// Delay note lengths in beats, for tempo-synced delay
+const DELAY_DIVISIONS = { '1/4': 1, '1/8.': 0.75, '1/8': 0.5, '1/8t': 1 / 3, '1/16': 0.25 };
+
+const EFFECT_LIMITS = {
+    compressor: {
+        mix: { min: 0, max: 1, fallback: 1 },
+        threshold: { min: -40, max: 0, fallback: -12 },
+        ratio: { min: 1, max: 20, fallback: 4 }
+    },
+    eq: {
+        mix: { min: 0, max: 1, fallback: 1 },
+        low: { min: -12, max: 12, fallback: 0 },
+        mid: { min: -12, max: 12, fallback: 0 },
+        high: { min: -12, max: 12, fallback: 0 }
+    },
+    delay: {
+        mix: { min: 0, max: 1, fallback: 0.25 },
+        time: { min: 0.05, max: 1.5, fallback: 0.375 },
+        feedback: { min: 0, max: 0.9, fallback: 0.35 },
+        bpm: { min: 40, max: 240, fallback: 120 }
+    },
+    reverb: {
+        mix: { min: 0, max: 1, fallback: 0.2 },
+        decay: { min: 0.3, max: 6, fallback: 2 }
+    }
+};
+
+// Delay starts bypassed, everything else is on
+const EFFECT_BYPASS_DEFAULTS = { compressor: false, eq: false, delay: true, reverb: false };
+
+function clampNumber(value, limit) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return limit.fallback;
+    return Math.max(limit.min, Math.min(limit.max, value));
+}
+
+function normalizeEffects(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    const effects = {};
+    Object.keys(EFFECT_LIMITS).forEach(name => {
+        const settings = source[name] && typeof source[name] === 'object' ? source[name] : {};
+        effects[name] = {
+            bypass: typeof settings.bypass === 'boolean' ? settings.bypass : EFFECT_BYPASS_DEFAULTS[name]
+        };
+        Object.keys(EFFECT_LIMITS[name]).forEach(setting => {
+            effects[name][setting] = clampNumber(settings[setting], EFFECT_LIMITS[name][setting]);
+        });
+    });
+    effects.delay.sync = source.delay && typeof source.delay.sync === 'boolean' ? source.delay.sync : false;
+    effects.delay.division = source.delay && DELAY_DIVISIONS[source.delay.division] ? source.delay.division : '1/8';
+    return effects;
+}
+
+// Seconds between echoes: free time, or one division at the synced tempo
+function getDelayTime(delay) {
+    return delay.sync ? (60 / delay.bpm) * DELAY_DIVISIONS[delay.division] : delay.time;
+}
+
+function createPresetId() {
+    return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function clampSetting(name, value) {
+    return clampNumber(value, PRESET_LIMITS[name]);
+}
+
+// Fills in missing settings and clamps the rest, so any stored or imported preset is playable
+function normalizePreset(data) {
+    if (!data || typeof data !== 'object' || (data.format !== undefined && data.format !== PRESET_FORMAT)) {
+        throw new Error('Not an Online Piano preset file');
+    }
+    if (data.version > PRESET_SCHEMA_VERSION) {
+        throw new Error(`Preset was saved by a newer version (v${data.version}) of the piano`);
+    }
+    if (!Array.isArray(data.partials) || data.partials.length === 0) {
+        throw new Error('Preset has no partials');
+    }
+
+    const preset = {
+        format: PRESET_FORMAT,
+        version: PRESET_SCHEMA_VERSION,
+        id: typeof data.id === 'string' && data.id ? data.id : createPresetId(),
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom Piano',
+        waveform: PRESET_WAVEFORMS.includes(data.waveform) ? data.waveform : 'sine',
+        partials: data.partials
+            .slice(0, MAX_PRESET_PARTIALS)
+            .map(amplitude => (typeof amplitude === 'number' && Number.isFinite(amplitude) ? Math.max(0, Math.min(1, amplitude)) : 0)),
+        filterType: PRESET_FILTER_TYPES.includes(data.filterType) ? data.filterType : 'lowpass'
+    };
+    Object.keys(PRESET_LIMITS).forEach(name => {
+        preset[name] = clampSetting(name, data[name]);
+    });
+    preset.effects = normalizeEffects(data.effects);
+    return preset;
+}
+
+function presetToJson(preset) {
+    return JSON.stringify(preset, null, 2);
+}
+
+function parsePresetJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+    return (Array.isArray(data) ? data : [data]).map(normalizePreset);
+}
+
+// ===== STORAGE (localStorage) =====
+function loadCustomPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || [];
+        return stored
+            .map(preset => {
+                try {
+                    return normalizePreset(preset);
+                } catch (error) {
+                    console.warn(`⚠️ Skipping unreadable preset ${preset && preset.id}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveCustomPresets(presets) {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRESET_FORMAT,
+        PRESET_SCHEMA_VERSION,
+        MAX_PRESET_PARTIALS,
+        DELAY_DIVISIONS,
+        normalizeEffects,
+        getDelayTime,
+        normalizePreset,
+        presetToJson,
+        parsePresetJson
+    };
+}
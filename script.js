@@ -2,71 +2,165 @@
 const AudioContext = window.AudioContext || window.webkitAudioContext;
 const audioContext = new AudioContext();
 
-// ===== 36 KEYS PIANO DATA (C4 to B6 - 3 Octaves) =====
+// ===== PIANO KEY DATA (configurable range, A0 to C8) =====
 const pianoKeys = [];
+const MIN_MIDI_NOTE = 21; // A0
+const MAX_MIDI_NOTE = 108; // C8
 
-// Generate 36 keys (3 octaves)
-function generatePianoKeys() {
+// Preset ranges offered in the range selector (MIDI note numbers)
+const keyboardRanges = {
+    '25': { start: 60, end: 84 },  // C4-C6
+    '36': { start: 60, end: 95 },  // C4-B6 (default)
+    '37': { start: 48, end: 84 },  // C3-C6
+    '49': { start: 36, end: 84 },  // C2-C6
+    '61': { start: 36, end: 96 },  // C2-C7
+    '88': { start: 21, end: 108 }  // A0-C8
+};
+let keyboardRange = { ...keyboardRanges['36'] };
+
+// Temperament or Scala scale, its key and the A4 reference (see tuning.js)
+const tuningSettings = {
+    temperament: 'equal', // a TEMPERAMENTS id, or 'scala' for an imported .scl file
+    root: 0, // key the temperament is tuned to (pitch class)
+    reference: DEFAULT_REFERENCE_PITCH,
+    scalaScale: null
+};
+let tuning = createTuning(TEMPERAMENTS.equal);
+
+function midiToFrequency(midi) {
+    return getTuningFrequency(midi, tuning);
+}
+
+// Playback tunes notes by name, so takes and loops follow the current tuning
+function getNoteFrequency(noteName) {
+    return midiToFrequency(noteNameToMidi(noteName));
+}
+
+// Generate the keys between two MIDI notes (inclusive)
+function generatePianoKeys(startMidi = keyboardRange.start, endMidi = keyboardRange.end) {
     const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     const keys = [];
-    const baseFrequency = 261.63; // C4 frequency
     
-    // Generate 3 octaves: C4-B4, C5-B5, C6-B6
-    for (let octave = 4; octave <= 6; octave++) {
-        for (let i = 0; i < 12; i++) {
-            const noteName = notes[i];
-            const frequency = baseFrequency * Math.pow(2, ((octave - 4) * 12 + i) / 12);
-            const isBlack = noteName.includes('#');
-            
-            keys.push({
-                note: `${noteName}${octave}`,
-                frequency: frequency,
-                isBlack: isBlack
-            });
-        }
+    for (let midi = startMidi; midi <= endMidi; midi++) {
+        const noteName = notes[midi % 12];
+        const octave = Math.floor(midi / 12) - 1;
+        const frequency = midiToFrequency(midi);
+        const isBlack = noteName.includes('#');
+        
+        keys.push({
+            note: `${noteName}${octave}`,
+            midi: midi,
+            octave: octave,
+            frequency: frequency,
+            isBlack: isBlack
+        });
     }
     
     return keys;
 }
 
-const allKeys = generatePianoKeys();
-
-// ===== KEYBOARD MAPPING FOR THREE OCTAVES (C4-B6) =====
-const keyboardMap = {
-    // Lower octave (C4-B4)
-    'z': 'C4', 's': 'C#4', 'x': 'D4', 'd': 'D#4', 'c': 'E4',
-    'v': 'F4', 'g': 'F#4', 'b': 'G4', 'h': 'G#4', 'n': 'A4',
-    'j': 'A#4', 'm': 'B4',
-    // Middle octave (C5-B5)
-    'q': 'C5', '2': 'C#5', 'w': 'D5', '3': 'D#5', 'e': 'E5',
-    'r': 'F5', '5': 'F#5', 't': 'G5', '6': 'G#5', 'y': 'A5',
-    '7': 'A#5', 'u': 'B5',
-    // Upper octave (C6-B6)
-    'a': 'C6', '8': 'C#6', 'l': 'D6', '9': 'D#6', 'i': 'E6',
-    'o': 'F6', '0': 'F#6', 'p': 'G6', '[': 'G#6', ']': 'A6',
-    '\\': 'A#6', 'k': 'B6'
+let allKeys = generatePianoKeys();
+
+// ===== KEYBOARD MAPPING (profiles and layouts in keyboard-profiles.js) =====
+const keyMappingSettings = loadKeyMappingSettings();
+let keyProfiles = builtInKeyProfiles.concat(loadKeyProfiles());
+let activeKeyProfile = keyProfiles.find(profile => profile.id === keyMappingSettings.activeProfileId) || keyProfiles[0];
+let matchPhysicalKeys = keyMappingSettings.matchPhysicalKeys; // event.code instead of event.key
+
+// Lookup tables for the active profile: key token -> note, key token -> badge text
+let keyboardMap = {};
+let keyboardLabelMap = {};
+function buildKeyboardMap() {
+    keyboardMap = {};
+    keyboardLabelMap = {};
+    activeKeyProfile.bindings.forEach(binding => {
+        const token = getBindingToken(binding, matchPhysicalKeys);
+        keyboardMap[token] = binding.note;
+        keyboardLabelMap[token] = binding.key.toUpperCase();
+    });
+}
+buildKeyboardMap();
+
+// ===== OCTAVE SHIFT / TRANSPOSE (computer keyboard only) =====
+const MIN_OCTAVE_SHIFT = -3; // bottom row starts at C1
+const MAX_OCTAVE_SHIFT = 2;  // top row reaches C8
+const MAX_TRANSPOSE = 12;    // semitones either way
+let octaveShift = 0;
+let transposeSemitones = 0;
+
+// The note a computer key plays right now, or null if it falls off A0-C8
+function getMappedNote(keyPressed) {
+    const baseNote = keyboardMap[keyPressed];
+    if (!baseNote) return null;
+    const midi = noteNameToMidi(baseNote) + octaveShift * 12 + transposeSemitones;
+    return midi >= MIN_MIDI_NOTE && midi <= MAX_MIDI_NOTE ? midiToNoteName(midi) : null;
+}
+
+// Reverse mapping: note -> key token (follows the current shift)
+let noteToKeyMap = {};
+function buildNoteToKeyMap() {
+    noteToKeyMap = {};
+    for (let token in keyboardMap) {
+        const note = getMappedNote(token);
+        if (note) noteToKeyMap[note] = token;
+    }
+}
+buildNoteToKeyMap();
+
+// ===== THEORY MODE (scales and chords in music-theory.js) =====
+const theorySettings = {
+    root: 0, // pitch class of the scale root (0 = C)
+    scale: 'off', // a SCALES id, or 'off'
+    oneFingerChord: 'off' // 'off' | 'diatonic' | 'diatonic7' | a CHORD_TYPES id
 };
+const chordCompanions = new Map(); // keyIdentifier -> [{ keyIdentifier, keyElement }] extra notes of a one-finger chord
 
-// Reverse mapping: note -> keyboard key
-const noteToKeyMap = {};
-for (let key in keyboardMap) {
-    noteToKeyMap[keyboardMap[key]] = key.toUpperCase();
+// Mark the keys of the chosen scale (after every renderPiano)
+function updateScaleHighlight() {
+    const scalePitchClasses = getScalePitchClasses(theorySettings.root, theorySettings.scale);
+    document.querySelectorAll('#piano-keys .key').forEach(keyDiv => {
+        const pitchClass = noteNameToMidi(keyDiv.getAttribute('data-note')) % 12;
+        keyDiv.classList.toggle('in-scale', scalePitchClasses.includes(pitchClass));
+        keyDiv.classList.toggle('scale-root', scalePitchClasses.length > 0 && pitchClass === theorySettings.root);
+    });
+}
+
+// Notes one key press plays: the note itself, or a chord built on it
+function getChordVoicing(noteName) {
+    const midi = noteNameToMidi(noteName);
+    const mode = theorySettings.oneFingerChord;
+    if (mode === 'off') return [midi];
+    if (mode === 'diatonic' || mode === 'diatonic7') {
+        // Chords of the key; with no scale picked, the major scale on the root
+        const scale = theorySettings.scale === 'off' ? 'major' : theorySettings.scale;
+        const scalePitchClasses = getScalePitchClasses(theorySettings.root, scale);
+        return buildDiatonicChord(midi, scalePitchClasses, mode === 'diatonic7' ? 4 : 3) || [midi];
+    }
+    return buildChord(midi, mode);
 }
 
 // ===== GENERATE PIANO HTML =====
+let focusableKeyNote = 'C4'; // the one key Tab reaches; the arrow keys move it (roving tabindex)
+
+// "C#4" -> "C sharp 4", which screen readers say properly
+function getSpokenNoteName(noteName) {
+    return noteName.replace(/^([A-G])#/, '$1 sharp ').replace(/^([A-G])(?=-?\d)/, '$1 ');
+}
+
 function renderPiano() {
     const pianoContainer = document.getElementById('piano-keys');
     pianoContainer.innerHTML = ''; // Clear existing
-    
-    let whiteKeyCount = 0;
-    const whiteKeyWidth = 60;
-    const blackKeyWidth = 36;
+    if (!allKeys.some(keyData => keyData.note === focusableKeyNote)) focusableKeyNote = allKeys[0].note;
     
     allKeys.forEach((keyData, index) => {
         const keyDiv = document.createElement('div');
         keyDiv.className = keyData.isBlack ? 'key black' : 'key white';
         keyDiv.setAttribute('data-note', keyData.note);
         keyDiv.setAttribute('data-freq', keyData.frequency.toFixed(2));
+        keyDiv.setAttribute('role', 'button');
+        keyDiv.setAttribute('aria-roledescription', 'piano key');
+        keyDiv.setAttribute('aria-label', getSpokenNoteName(keyData.note));
+        keyDiv.tabIndex = keyData.note === focusableKeyNote ? 0 : -1;
         
         // Note Label
         const noteLabel = document.createElement('span');
@@ -74,45 +168,90 @@ function renderPiano() {
         noteLabel.textContent = keyData.note;
         keyDiv.appendChild(noteLabel);
         
-        // Keyboard mapping label (if exists)
-        if (noteToKeyMap[keyData.note]) {
-            const keyboardLabel = document.createElement('span');
-            keyboardLabel.className = 'keyboard-label';
-            
-            // Add octave-specific class for different colors
-            if (keyData.note.includes('4')) {
-                keyboardLabel.classList.add('octave-c4');
-            } else if (keyData.note.includes('5')) {
-                keyboardLabel.classList.add('octave-c5');
-            } else if (keyData.note.includes('6')) {
-                keyboardLabel.classList.add('octave-c6');
-            }
-            
-            keyboardLabel.textContent = noteToKeyMap[keyData.note];
-            keyDiv.appendChild(keyboardLabel);
-        }
-        
         // Highlight Middle C (C4)
         if (keyData.note === 'C4') {
             keyDiv.classList.add('middle-c');
         }
         
-        // Position keys properly
-        if (!keyData.isBlack) {
+        pianoContainer.appendChild(keyDiv);
+    });
+    
+    updateKeyboardLabels();
+    updateScaleHighlight();
+    layoutPiano();
+}
+
+// ===== KEYBOARD MAPPING BADGES =====
+const BADGE_COLOURS = ['octave-c4', 'octave-c5', 'octave-c6']; // blue / yellow / green rows
+
+function getBindingOctave(note) {
+    return Math.floor(noteNameToMidi(note) / 12) - 1;
+}
+
+function updateKeyboardLabels() {
+    // Rows are counted from the profile's lowest octave, so any bound octaves get the row colours
+    const lowestOctave = Math.min(...Object.values(keyboardMap).map(getBindingOctave));
+
+    document.querySelectorAll('#piano-keys .key').forEach(keyDiv => {
+        const oldLabel = keyDiv.querySelector('.keyboard-label');
+        if (oldLabel) oldLabel.remove();
+        
+        const token = noteToKeyMap[keyDiv.getAttribute('data-note')];
+        if (!token) return;
+        
+        const keyboardLabel = document.createElement('span');
+        keyboardLabel.className = 'keyboard-label';
+        
+        // Colour by the octave the key is bound to, wherever it is shifted to
+        keyboardLabel.classList.add(BADGE_COLOURS[(getBindingOctave(keyboardMap[token]) - lowestOctave) % BADGE_COLOURS.length]);
+        
+        keyboardLabel.textContent = keyboardLabelMap[token];
+        keyDiv.appendChild(keyboardLabel);
+    });
+}
+
+// ===== PIANO LAYOUT (scale key widths to the container) =====
+const MAX_WHITE_KEY_WIDTH = 60;
+const MIN_WHITE_KEY_WIDTH = 18; // narrower than this the keyboard scrolls instead
+const BLACK_KEY_RATIO = 0.6;
+const COMPACT_KEY_WIDTH = 40; // below this, labels shrink
+const MIN_TOUCH_KEY_WIDTH = 36; // fingers need wider keys, so touch screens scroll sooner
+let keyboardZoom = 1; // 1 fits the range to the window; more widens the keys and the keyboard scrolls
+
+function isTouchScreen() {
+    return Boolean(window.matchMedia) && window.matchMedia('(pointer: coarse)').matches;
+}
+
+function layoutPiano() {
+    const pianoContainer = document.getElementById('piano-keys');
+    const scrollArea = pianoContainer.parentElement;
+    const style = getComputedStyle(scrollArea);
+    const available = scrollArea.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    
+    const totalWhiteKeys = allKeys.filter(k => !k.isBlack).length;
+    const fitWidth = available > 0 ? Math.floor(available / totalWhiteKeys) : MAX_WHITE_KEY_WIDTH;
+    const minWidth = isTouchScreen() ? MIN_TOUCH_KEY_WIDTH : MIN_WHITE_KEY_WIDTH;
+    const whiteKeyWidth = Math.round(Math.max(minWidth, Math.min(MAX_WHITE_KEY_WIDTH, fitWidth)) * keyboardZoom);
+    const blackKeyWidth = Math.round(whiteKeyWidth * BLACK_KEY_RATIO);
+    
+    pianoContainer.style.setProperty('--white-key-width', `${whiteKeyWidth}px`);
+    pianoContainer.style.setProperty('--black-key-width', `${blackKeyWidth}px`);
+    pianoContainer.classList.toggle('compact', whiteKeyWidth < COMPACT_KEY_WIDTH);
+    
+    // Position keys properly
+    let whiteKeyCount = 0;
+    pianoContainer.querySelectorAll('.key').forEach(keyDiv => {
+        if (keyDiv.classList.contains('white')) {
             // White key positioning
             keyDiv.style.left = `${whiteKeyCount * whiteKeyWidth}px`;
             whiteKeyCount++;
         } else {
-            // Black key positioning - offset from previous white key
-            const blackKeyOffset = whiteKeyWidth - (blackKeyWidth / 2);
+            // Black key positioning - centred on the edge of the previous white key
             keyDiv.style.left = `${(whiteKeyCount * whiteKeyWidth) - (blackKeyWidth / 2)}px`;
         }
-        
-        pianoContainer.appendChild(keyDiv);
     });
     
     // Set piano width
-    const totalWhiteKeys = allKeys.filter(k => !k.isBlack).length;
     pianoContainer.style.width = `${totalWhiteKeys * whiteKeyWidth}px`;
 }
 
@@ -121,11 +260,16 @@ renderPiano();
 
 // ===== GLOBAL VARIABLES =====
 let volume = 0.5;
-let pressedKeys = new Set();
+let pressedKeys = new Map(); // computer key -> note it started (the shift may change while held)
 let isRecording = false;
 let recordedNotes = [];
-let isPlaying = false;
+let recordingStartTime = 0;
+let heldRecordedNotes = new Map(); // keyIdentifier -> recorded note still waiting for its release
+let recordedPedalEvents = []; // { timestamp, down } sustain pedal changes during the take
+let recordedMeter = { bpm: DEFAULT_TAKE_BPM, timeSignature: DEFAULT_TIME_SIGNATURE.slice(), downbeat: 0 }; // downbeat: a bar line, same time base as timestamps
 let activeOscillators = new Map(); // Track active oscillators for sustain
+let sustainPedalDown = false;
+let sustainedKeys = new Set(); // keyIdentifiers released while the sustain pedal is down
 
 // ===== DOM ELEMENTS =====
 const keys = document.querySelectorAll('.key');
@@ -136,10 +280,122 @@ const showLabelsCheckbox = document.getElementById('show-labels');
 const themeToggle = document.getElementById('theme-toggle');
 const recordBtn = document.getElementById('record-btn');
 const playBtn = document.getElementById('play-btn');
+const stopBtn = document.getElementById('stop-btn');
 const clearBtn = document.getElementById('clear-btn');
+const shareBtn = document.getElementById('share-btn');
+const transportState = document.getElementById('transport-state');
+const transportTime = document.getElementById('transport-time');
+const seekSlider = document.getElementById('seek-slider');
+const tempoSlider = document.getElementById('tempo');
+const tempoValue = document.getElementById('tempo-value');
+const midiExportBtn = document.getElementById('midi-export-btn');
+const midiImportBtn = document.getElementById('midi-import-btn');
+const midiFileInput = document.getElementById('midi-file-input');
+const wavExportBtn = document.getElementById('wav-export-btn');
+const midiInputSelect = document.getElementById('midi-input-select');
+const midiConnectBtn = document.getElementById('midi-connect-btn');
+const sustainBtn = document.getElementById('sustain-btn');
+const takeList = document.getElementById('take-list');
+const takeLibraryEmpty = document.getElementById('take-library-empty');
+const takeImportBtn = document.getElementById('take-import-btn');
+const takeFileInput = document.getElementById('take-file-input');
 const recordStatus = document.getElementById('record-status');
 const notesCount = document.getElementById('notes-count');
 const presetSelector = document.getElementById('sound-preset');
+const metronomeBtn = document.getElementById('metronome-btn');
+const metronomeBeat = document.getElementById('metronome-beat');
+const metronomeBpmSlider = document.getElementById('metronome-bpm');
+const metronomeBpmValue = document.getElementById('metronome-bpm-value');
+const timeSignatureSelect = document.getElementById('time-signature');
+const metronomeAccentSelect = document.getElementById('metronome-accent');
+const countInSelect = document.getElementById('count-in');
+const audioRecordBtn = document.getElementById('audio-record-btn');
+const audioRecordTime = document.getElementById('audio-record-time');
+const audioLevelMeter = document.getElementById('audio-level');
+const audioFormatSelect = document.getElementById('audio-format');
+const audioPreviewPanel = document.getElementById('audio-preview-panel');
+const audioPreview = document.getElementById('audio-preview');
+const audioDownloadBtn = document.getElementById('audio-download-btn');
+const audioDiscardBtn = document.getElementById('audio-discard-btn');
+const rollEditBtn = document.getElementById('roll-edit-btn');
+const pianoRollPanel = document.getElementById('piano-roll');
+const rollGridSelect = document.getElementById('roll-grid');
+const rollSnapCheckbox = document.getElementById('roll-snap');
+const rollStrengthSlider = document.getElementById('roll-strength');
+const rollStrengthValue = document.getElementById('roll-strength-value');
+const rollQuantizeBtn = document.getElementById('roll-quantize-btn');
+const rollDeleteBtn = document.getElementById('roll-delete-btn');
+const rollUndoBtn = document.getElementById('roll-undo-btn');
+const rollRedoBtn = document.getElementById('roll-redo-btn');
+const rollZoomSlider = document.getElementById('roll-zoom');
+const rollSaveBtn = document.getElementById('roll-save-btn');
+const rollCloseBtn = document.getElementById('roll-close-btn');
+const rollScroll = document.getElementById('roll-scroll');
+const rollKeys = document.getElementById('roll-keys');
+const rollGridArea = document.getElementById('roll-grid-area');
+const rollPlayhead = document.getElementById('roll-playhead');
+const looperBarsSelect = document.getElementById('looper-bars');
+const looperPlayBtn = document.getElementById('looper-play-btn');
+const looperPosition = document.getElementById('looper-position');
+const looperAddBtn = document.getElementById('looper-add-btn');
+const looperTrackList = document.getElementById('looper-tracks');
+const presetEditBtn = document.getElementById('preset-edit-btn');
+const presetEditor = document.getElementById('preset-editor');
+const presetNameInput = document.getElementById('preset-name');
+const presetPartialCount = document.getElementById('preset-partial-count');
+const presetPartialCountValue = document.getElementById('preset-partial-count-value');
+const presetPartials = document.getElementById('preset-partials');
+const presetPreviewBtn = document.getElementById('preset-preview-btn');
+const presetSaveBtn = document.getElementById('preset-save-btn');
+const presetDeleteBtn = document.getElementById('preset-delete-btn');
+const presetExportBtn = document.getElementById('preset-export-btn');
+const presetImportBtn = document.getElementById('preset-import-btn');
+const presetFileInput = document.getElementById('preset-file-input');
+const presetCloseBtn = document.getElementById('preset-close-btn');
+const rangeSelector = document.getElementById('keyboard-range');
+const customRange = document.getElementById('custom-range');
+const rangeStartSelect = document.getElementById('range-start');
+const rangeEndSelect = document.getElementById('range-end');
+const keyZoomSlider = document.getElementById('key-zoom');
+const keyZoomValue = document.getElementById('key-zoom-value');
+const subtitle = document.querySelector('header .subtitle');
+const octaveDownBtn = document.getElementById('octave-down-btn');
+const octaveUpBtn = document.getElementById('octave-up-btn');
+const octaveValue = document.getElementById('octave-value');
+const transposeSlider = document.getElementById('transpose');
+const transposeValue = document.getElementById('transpose-value');
+const keyProfileSelect = document.getElementById('key-profile');
+const mappingEditBtn = document.getElementById('mapping-edit-btn');
+const mappingDeleteBtn = document.getElementById('mapping-delete-btn');
+const matchPhysicalKeysCheckbox = document.getElementById('match-physical-keys');
+const mappingStatus = document.getElementById('mapping-status');
+const theoryRootSelect = document.getElementById('theory-root');
+const theoryScaleSelect = document.getElementById('theory-scale');
+const oneFingerChordSelect = document.getElementById('one-finger-chord');
+const tuningTemperamentSelect = document.getElementById('tuning-temperament');
+const tuningRootSelect = document.getElementById('tuning-root');
+const referencePitchSlider = document.getElementById('reference-pitch');
+const referencePitchValue = document.getElementById('reference-pitch-value');
+const scalaImportBtn = document.getElementById('scala-import-btn');
+const scalaFileInput = document.getElementById('scala-file-input');
+const lessonSongSelect = document.getElementById('lesson-song');
+const lessonModeSelect = document.getElementById('lesson-mode');
+const lessonPracticeSelect = document.getElementById('lesson-practice');
+const lessonRange = document.getElementById('lesson-range');
+const lessonRangeLowSelect = document.getElementById('lesson-range-low');
+const lessonRangeHighSelect = document.getElementById('lesson-range-high');
+const lessonSpeedSlider = document.getElementById('lesson-speed');
+const lessonSpeedValue = document.getElementById('lesson-speed-value');
+const lessonStartBtn = document.getElementById('lesson-start-btn');
+const lessonStatus = document.getElementById('lesson-status');
+const lessonResults = document.getElementById('lesson-results');
+const lessonLane = document.getElementById('lesson-lane');
+const visualizerViewSelect = document.getElementById('visualizer-view');
+const noteHistoryCheckbox = document.getElementById('note-history-toggle');
+const visualizerCanvas = document.getElementById('visualizer-canvas');
+const noteHistoryCanvas = document.getElementById('note-history');
+const voiceDebug = document.getElementById('voice-debug');
+const noteAnnouncer = document.getElementById('note-announcer');
 
 // ===== PIANO SETTINGS =====
 const pianoSettings = {
@@ -161,7 +417,13 @@ const soundPresets = {
         attack: 0.005,
         decay: 0.25,
         sustain: 0.65,
-        release: 1.2
+        release: 1.2,
+        waveform: 'sine',
+        inharmonicity: 0,
+        detune: 0,
+        filterType: 'lowpass',
+        noiseLevel: 0.3,
+        effects: normalizeEffects({ eq: { high: 2 }, reverb: { mix: 0.15, decay: 1.6 } })
     },
     warm: {
         name: 'Warm Piano',
@@ -171,7 +433,13 @@ const soundPresets = {
         attack: 0.01,
         decay: 0.3,
         sustain: 0.7,
-        release: 1.5
+        release: 1.5,
+        waveform: 'sine',
+        inharmonicity: 0,
+        detune: 0,
+        filterType: 'lowpass',
+        noiseLevel: 0.3,
+        effects: normalizeEffects({ reverb: { mix: 0.2, decay: 2.2 } })
     },
     mellow: {
         name: 'Mellow Piano',
@@ -181,53 +449,92 @@ const soundPresets = {
         attack: 0.015,
         decay: 0.35,
         sustain: 0.75,
-        release: 1.8
+        release: 1.8,
+        waveform: 'sine',
+        inharmonicity: 0,
+        detune: 0,
+        filterType: 'lowpass',
+        noiseLevel: 0.3,
+        effects: normalizeEffects({ eq: { low: 1, high: -3 }, reverb: { mix: 0.28, decay: 2.8 } })
     }
 };
 
 let currentPreset = 'warm'; // default
-const MAX_VOICES = 10; // mobile optimization
+let presetDraft = null; // preset being edited - played instead of currentPreset while the editor is open
+
+function getCurrentPreset() {
+    return presetDraft || soundPresets[currentPreset];
+}
+
+// ===== MASTER BUS (all live voices feed the preset's effects chain, see effects.js) =====
+const masterBus = createEffectsBus(audioContext, getCurrentPreset().effects);
+
+function applyPresetEffects() {
+    masterBus.update(getCurrentPreset().effects);
+}
+const MAX_VOICES = 24; // live, playback and release tails together (kept low for mobile)
+const VOICE_STEAL_FADE = 0.02; // seconds, fade of a stolen voice (short, but no click)
+const DEFAULT_VELOCITY = 100 / 127; // computer keyboard and mouse notes (MIDI velocity 100)
+
+// Every voice on the live context is tracked here (offline renders are not)
+const voiceManager = createVoiceManager(MAX_VOICES);
 
 // ===== PIANO VOICE (additive synthesis with percussive attack) =====
-function createPianoVoice(frequency) {
-    const now = audioContext.currentTime;
-    const preset = soundPresets[currentPreset];
+// Builds the voice on any BaseAudioContext, so the same graph can be rendered offline
+function createPianoVoice(frequency, options = {}) {
+    const context = options.context || audioContext;
+    const destination = options.destination || (options.context ? context.destination : masterBus.input);
+    const now = options.startTime === undefined ? context.currentTime : options.startTime;
+    const velocity = options.velocity === undefined ? DEFAULT_VELOCITY : options.velocity;
+    const preset = options.preset || getCurrentPreset();
+    const isManaged = context === audioContext;
+    if (isManaged) voiceManager.makeRoom(context.currentTime);
+
+    // Velocity shapes the tone: harder strikes are louder and brighter
+    const touch = velocity / DEFAULT_VELOCITY; // 1 = default keyboard/mouse touch
+    const brightness = Math.pow(2, (velocity - DEFAULT_VELOCITY) * 2.5); // cutoff shift in octaves
 
     // Create filter and master gain
-    const filter = audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.setValueAtTime(Math.max(2000, frequency * preset.filterFreq), now);
+    const filter = context.createBiquadFilter();
+    filter.type = preset.filterType;
+    // Low notes keep some sparkle through a lowpass; highpass/bandpass follow the cutoff setting exactly
+    const cutoff = frequency * preset.filterFreq;
+    filter.frequency.setValueAtTime((preset.filterType === 'lowpass' ? Math.max(2000, cutoff) : cutoff) * brightness, now);
     filter.Q.setValueAtTime(preset.filterQ, now);
 
-    const masterGain = audioContext.createGain();
+    const masterGain = context.createGain();
     masterGain.gain.setValueAtTime(1, now);
 
     // Percussive attack noise (short burst)
-    const noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate * 0.05, audioContext.sampleRate);
+    const noiseBuffer = context.createBuffer(1, context.sampleRate * 0.05, context.sampleRate);
     const noiseData = noiseBuffer.getChannelData(0);
     for (let i = 0; i < noiseData.length; i++) {
         noiseData[i] = (Math.random() * 2 - 1) * 0.08;
     }
-    const noiseSource = audioContext.createBufferSource();
+    const noiseSource = context.createBufferSource();
     noiseSource.buffer = noiseBuffer;
-    const noiseGain = audioContext.createGain();
-    noiseGain.gain.setValueAtTime(0.3, now);
+    const noiseGain = context.createGain();
+    noiseGain.gain.setValueAtTime(preset.noiseLevel * touch, now);
     noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
     noiseSource.connect(noiseGain);
     noiseGain.connect(filter);
     noiseSource.start(now);
 
-    // Partial oscillators (4 harmonics based on preset)
+    // Partial oscillators (harmonics from the preset, upper partials follow velocity)
     const oscillators = [];
     const gains = [];
-    const partialRatios = preset.partials;
+    const partialRatios = preset.partials.map((ratio, i) => Math.min(1, ratio * Math.pow(touch, i * 0.5)));
 
-    for (let i = 0; i < 4; i++) {
-        const osc = audioContext.createOscillator();
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(frequency * (i + 1), now);
+    for (let i = 0; i < preset.partials.length; i++) {
+        const harmonic = i + 1;
+        const osc = context.createOscillator();
+        osc.type = preset.waveform;
+        // Stiff strings stretch the upper partials sharp: f_n = n * f * sqrt(1 + B * n^2)
+        osc.frequency.setValueAtTime(frequency * harmonic * Math.sqrt(1 + preset.inharmonicity * harmonic * harmonic), now);
+        // Detune spreads the partials alternately sharp / flat around the fundamental
+        osc.detune.setValueAtTime(i === 0 ? 0 : (i % 2 ? preset.detune : -preset.detune), now);
         
-        const gain = audioContext.createGain();
+        const gain = context.createGain();
         gain.gain.setValueAtTime(0.0001, now);
         
         osc.connect(gain);
@@ -239,96 +546,506 @@ function createPianoVoice(frequency) {
     }
 
     filter.connect(masterGain);
-    masterGain.connect(audioContext.destination);
+    masterGain.connect(destination);
 
     // ADSR ramp for partials using preset settings
-    const maxGain = volume * pianoSettings.volume;
+    const maxGain = volume * pianoSettings.volume * touch;
     gains.forEach((gain, i) => {
         const ratio = partialRatios[i] || 0;
         gain.gain.linearRampToValueAtTime(maxGain * ratio, now + preset.attack);
         gain.gain.linearRampToValueAtTime(maxGain * preset.sustain * ratio, now + preset.attack + preset.decay);
     });
 
-    // Return stop function which applies release and stops nodes
-    function stopVoice(releaseTime = preset.release) {
-        const t = audioContext.currentTime;
-        gains.forEach(gain => {
+    // Envelope level of a partial at time t (needed when the release is scheduled ahead)
+    function envelopeLevelAt(peak, t) {
+        const elapsed = t - now;
+        if (elapsed <= 0) return 0.0001;
+        if (elapsed < preset.attack) return peak * (elapsed / preset.attack);
+        if (elapsed < preset.attack + preset.decay) {
+            return peak - peak * (1 - preset.sustain) * ((elapsed - preset.attack) / preset.decay);
+        }
+        return peak * preset.sustain;
+    }
+
+    // Loudness of the fundamental at time t, for picking the quietest voice to steal
+    let release = null; // { time, level, length } once the release is scheduled
+    function getLevel(t = context.currentTime) {
+        if (t < now) return 0;
+        if (!release || t < release.time) return envelopeLevelAt(maxGain, t);
+        const progress = (t - release.time) / release.length;
+        if (progress >= 1) return 0;
+        return release.level * Math.pow(0.0001 / Math.max(0.0001, release.level), progress);
+    }
+
+    // Return stop function which applies release and stops nodes (at stopTime, default now)
+    function stopVoice(releaseTime = preset.release, stopTime = context.currentTime) {
+        const t = Math.max(stopTime, context.currentTime);
+        release = { time: t, level: getLevel(t), length: releaseTime };
+        voice.releasedAt = t;
+
+        gains.forEach((gain, i) => {
+            const level = envelopeLevelAt(maxGain * (partialRatios[i] || 0), t);
             gain.gain.cancelScheduledValues(t);
-            gain.gain.setValueAtTime(gain.gain.value, t);
+            gain.gain.setValueAtTime(Math.max(0.0001, level), t);
             gain.gain.exponentialRampToValueAtTime(0.0001, t + releaseTime);
         });
 
-        setTimeout(() => {
-            oscillators.forEach(osc => { try { osc.stop(); } catch (e) {} });
-            try { filter.disconnect(); masterGain.disconnect(); } catch (e) {}
-        }, (releaseTime + 0.06) * 1000);
+        // Stop on the context's own clock so offline rendering works the same way
+        // (the noise burst too, in case the voice is cut before it has finished)
+        try { noiseSource.stop(Math.max(now, t)); } catch (e) {}
+        oscillators.forEach(osc => { try { osc.stop(t + releaseTime + 0.06); } catch (e) {} });
     }
 
-    return { stop: stopVoice };
+    const voice = {
+        kind: options.kind || 'live',
+        startTime: now,
+        releasedAt: null,
+        onSteal: null, // set by whoever owns the voice, to forget it when it is stolen
+        stop: stopVoice,
+        kill: () => stopVoice(VOICE_STEAL_FADE),
+        getLevel
+    };
+
+    // Free every node once the sound has ended, so long sessions don't pile up graph nodes
+    noiseSource.addEventListener('ended', () => {
+        noiseSource.disconnect();
+        noiseGain.disconnect();
+    });
+    oscillators[0].addEventListener('ended', () => {
+        oscillators.forEach(osc => osc.disconnect());
+        gains.forEach(gain => gain.disconnect());
+        filter.disconnect();
+        masterGain.disconnect();
+        if (isManaged) voiceManager.remove(voice);
+    });
+
+    if (isManaged) voiceManager.add(voice);
+    return voice;
 }
 
 // ===== START SOUND FUNCTION (Sustain - sound continues while key is held) =====
-function startSound(frequency, noteName, keyIdentifier) {
-    if (activeOscillators.has(keyIdentifier)) return;
-    if (audioContext.state === 'suspended') audioContext.resume();
-
-    // Mobile optimization: limit concurrent voices
-    if (activeOscillators.size >= MAX_VOICES) {
-        const firstKey = activeOscillators.keys().next().value;
-        stopSound(firstKey);
+function startSound(frequency, noteName, keyIdentifier, velocity = DEFAULT_VELOCITY) {
+    if (activeOscillators.has(keyIdentifier)) {
+        if (!sustainedKeys.has(keyIdentifier)) return;
+        // Key struck again while the pedal is holding it - restrike
+        releaseVoice(keyIdentifier);
     }
+    if (audioContext.state === 'suspended') audioContext.resume();
 
-    const voice = createPianoVoice(frequency);
+    // The voice manager makes room when every voice is taken
+    const voice = createPianoVoice(frequency, { velocity, ...getLiveVoiceOptions() });
+    voice.note = noteName; // chord detection reads the sounding notes from activeOscillators
+    voice.onSteal = () => {
+        if (activeOscillators.get(keyIdentifier) === voice) forgetVoice(keyIdentifier);
+    };
     activeOscillators.set(keyIdentifier, voice);
+    captureLoopNote(keyIdentifier, noteName, frequency, velocity);
+    startHistoryNote(keyIdentifier, noteName, velocity);
+    announceNote(noteName);
 
-    // Record note if recording
+    // Record note if recording (duration is filled in on release)
     if (isRecording) {
-        recordedNotes.push({ note: noteName, frequency: frequency, timestamp: Date.now() });
+        const recordedNote = {
+            note: noteName,
+            frequency: frequency,
+            timestamp: Date.now() - recordingStartTime,
+            duration: null,
+            velocity: velocity
+        };
+        recordedNotes.push(recordedNote);
+        heldRecordedNotes.set(keyIdentifier, recordedNote);
         notesCount.textContent = `${recordedNotes.length} notes`;
     }
 }
 
+// ===== FINISH RECORDED NOTE (store how long the note was held) =====
+function finishRecordedNote(keyIdentifier) {
+    const recordedNote = heldRecordedNotes.get(keyIdentifier);
+    if (!recordedNote) return;
+    recordedNote.duration = Math.max(0, Date.now() - recordingStartTime - recordedNote.timestamp);
+    heldRecordedNotes.delete(keyIdentifier);
+}
+
 // ===== STOP SOUND FUNCTION (Release envelope when key is released) =====
 function stopSound(keyIdentifier) {
+    if (!activeOscillators.has(keyIdentifier)) return;
+    finishRecordedNote(keyIdentifier);
+
+    // Sustain pedal keeps the voice ringing until the pedal lifts
+    if (sustainPedalDown) {
+        sustainedKeys.add(keyIdentifier);
+        return;
+    }
+
+    releaseVoice(keyIdentifier);
+}
+
+// ===== RELEASE VOICE (apply release envelope, ignoring the pedal) =====
+function releaseVoice(keyIdentifier) {
     const voice = activeOscillators.get(keyIdentifier);
     if (!voice) return;
     voice.stop(pianoSettings.release);
+    forgetVoice(keyIdentifier);
+}
+
+// The key no longer owns a voice (released, or stolen by the voice manager)
+function forgetVoice(keyIdentifier) {
     activeOscillators.delete(keyIdentifier);
+    sustainedKeys.delete(keyIdentifier);
+    finishRecordedNote(keyIdentifier);
+    finishLoopNote(keyIdentifier);
+    endHistoryNote(keyIdentifier);
+
+    // Show what is left of a chord as its notes are let go
+    const chordName = getSoundingChordName();
+    if (chordName) pressedKeyDisplay.textContent = chordName;
+}
+
+// ===== CHORD DETECTION (live notes, including those held by the pedal) =====
+function getSoundingChordName() {
+    const notes = Array.from(activeOscillators.values(), voice => noteNameToMidi(voice.note));
+    return detectChord(notes);
+}
+
+// ===== SUSTAIN PEDAL =====
+function setSustainPedal(isDown) {
+    if (sustainPedalDown === isDown) return;
+    sustainPedalDown = isDown;
+    updateSustainDisplay();
+
+    if (isRecording) {
+        recordedPedalEvents.push({ timestamp: Date.now() - recordingStartTime, down: isDown });
+    }
+
+    // Pedal lifted: release everything it was holding
+    if (!isDown) {
+        Array.from(sustainedKeys).forEach(releaseVoice);
+    }
 }
 
 // ===== PLAY NOTE FUNCTION =====
-function playNote(note, frequency, keyIdentifier) {
+function playNote(note, frequency, keyIdentifier, velocity = DEFAULT_VELOCITY) {
     if (frequency) {
-        startSound(frequency, note, keyIdentifier);
-        pressedKeyDisplay.textContent = note;
+        startSound(frequency, note, keyIdentifier, velocity);
+        playChordCompanions(note, keyIdentifier, velocity);
+        handleLessonInput(note);
+        const shown = getSoundingChordName() || note;
+        pressedKeyDisplay.textContent = shown;
         
-        // Reset display after 2 seconds
+        // Reset display after 2 seconds (a chord stays up while it sounds)
         setTimeout(() => {
-            if (pressedKeyDisplay.textContent === note) {
+            if (pressedKeyDisplay.textContent === shown && getSoundingChordName() !== shown) {
                 pressedKeyDisplay.textContent = '—';
             }
         }, 2000);
     }
 }
 
+// ===== ONE-FINGER CHORDS (the rest of the voicing follows the pressed key) =====
+function playChordCompanions(note, keyIdentifier, velocity) {
+    const companions = getChordVoicing(note).slice(1)
+        .filter(midi => midi <= MAX_MIDI_NOTE)
+        .map(midi => {
+            const noteName = midiToNoteName(midi);
+            const keyElement = findKeyByNote(noteName);
+            const frequency = keyElement ? parseFloat(keyElement.getAttribute('data-freq')) : midiToFrequency(midi);
+            const companion = { keyIdentifier: `${keyIdentifier}+${noteName}`, keyElement };
+            startSound(frequency, noteName, companion.keyIdentifier, velocity);
+            if (keyElement) activateKey(keyElement);
+            return companion;
+        });
+    if (companions.length > 0) chordCompanions.set(keyIdentifier, companions);
+}
+
 // ===== RELEASE NOTE FUNCTION =====
 function releaseNote(keyIdentifier) {
     stopSound(keyIdentifier);
+
+    const companions = chordCompanions.get(keyIdentifier);
+    if (companions) {
+        companions.forEach(companion => {
+            stopSound(companion.keyIdentifier);
+            if (companion.keyElement) companion.keyElement.classList.remove('active');
+        });
+        chordCompanions.delete(keyIdentifier);
+    }
+}
+
+// ===== PLAYBACK NOTE FUNCTION (For recorded playback - scheduled on the audio clock) =====
+function playbackNote(frequency, noteName, startTime, duration, velocity = DEFAULT_VELOCITY, voiceOptions = {}) {
+    const voice = createPianoVoice(frequency, { kind: 'playback', ...voiceOptions, startTime, velocity });
+
+    // Notes without a recorded release fall back to a short fixed time (attack+decay+0.5s)
+    const endTime = duration == null ? startTime + pianoSettings.attack + pianoSettings.decay + 0.5 : startTime + duration;
+    voice.stop(duration == null ? 0.35 : pianoSettings.release, endTime);
+
+    // Offline renders (WAV export) are not heard, so they stay out of the note history
+    if (!voiceOptions.context) addHistoryNote(noteName, startTime, endTime, velocity);
+
+    return voice;
+}
+
+// ===== PLAYBACK TRANSPORT (look-ahead scheduler on the AudioContext clock) =====
+const SCHEDULER_INTERVAL = 25; // ms between scheduler wake-ups
+const SCHEDULE_AHEAD_TIME = 0.1; // seconds of audio queued ahead of the clock
+const PLAYBACK_START_DELAY = 0.05; // seconds, lets the first notes be queued in time
+const FALLBACK_NOTE_LENGTH = 150; // ms, for notes recorded without a release
+
+const transport = {
+    state: 'stopped', // 'stopped' | 'playing' | 'paused'
+    tempo: 1, // playback speed multiplier
+    position: 0, // ms into the take while stopped or paused
+    anchorTime: 0, // audioContext time at which anchorPosition sounds
+    anchorPosition: 0,
+    notes: [], // take notes sorted by start (ms from the first note)
+    origin: 0, // recordedNotes timestamp of position 0
+    length: 0, // ms until the last note stops sounding
+    nextIndex: 0,
+    timerId: null,
+    scheduled: [] // notes already handed to the audio clock
+};
+
+// Timestamp the take starts at (its first note)
+function getTakeOrigin() {
+    return recordedNotes.reduce((origin, note) => Math.min(origin, note.timestamp), Infinity);
+}
+
+// Sorted copy of the recording with start times relative to the first note
+function getTakeNotes() {
+    if (recordedNotes.length === 0) return [];
+    const origin = getTakeOrigin();
+    return recordedNotes
+        .map(note => ({ ...note, start: note.timestamp - origin }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Pedal events on the same time line as getTakeNotes (a pedal already down counts from 0)
+function getTakePedalEvents() {
+    if (recordedNotes.length === 0) return [];
+    const origin = getTakeOrigin();
+    return recordedPedalEvents
+        .map(event => ({ down: event.down, start: Math.max(0, event.timestamp - origin) }))
+        .sort((a, b) => a.start - b.start);
 }
 
-// ===== PLAYBACK NOTE FUNCTION (For recorded playback - fixed duration) =====
-function playbackNote(frequency, noteName) {
-    if (audioContext.state === 'suspended') {
-        audioContext.resume();
+// How far the first note sits after the bar line before it, so exports can start on a bar
+function getTakeBarOffset() {
+    if (recordedNotes.length === 0) return 0;
+    const barLength = getBarLength(recordedMeter.bpm, recordedMeter.timeSignature);
+    const offset = (getTakeOrigin() - recordedMeter.downbeat) % barLength;
+    return Math.round(offset < 0 ? offset + barLength : offset);
+}
+
+// When the key was let go
+function getNoteEnd(note) {
+    return note.start + (note.duration == null ? FALLBACK_NOTE_LENGTH : note.duration);
+}
+
+// Work out when each note stops sounding: a key released while the pedal is down rings
+// on until the pedal lifts, or until the same key is struck again
+function applySustainPedal(notes, pedalEvents) {
+    const takeEnd = notes.reduce((end, note) => Math.max(end, getNoteEnd(note)), 0);
+    const isPedalDownAt = time => {
+        let down = false;
+        pedalEvents.forEach(event => { if (event.start <= time) down = event.down; });
+        return down;
+    };
+
+    return notes.map((note, index) => {
+        const keyUp = getNoteEnd(note);
+        let soundEnd = keyUp;
+
+        if (note.duration != null && isPedalDownAt(keyUp)) {
+            const lift = pedalEvents.find(event => !event.down && event.start > keyUp);
+            soundEnd = lift ? lift.start : takeEnd;
+
+            const restrike = notes.find((other, j) => j > index && other.note === note.note && other.start >= keyUp);
+            if (restrike) soundEnd = Math.min(soundEnd, restrike.start);
+        }
+
+        return { ...note, soundEnd: Math.max(keyUp, soundEnd) };
+    });
+}
+
+function loadTransportNotes() {
+    transport.origin = recordedNotes.length ? getTakeOrigin() : 0;
+    transport.notes = applySustainPedal(getTakeNotes(), getTakePedalEvents());
+    transport.length = transport.notes.reduce((end, note) => Math.max(end, note.soundEnd), 0);
+}
+
+// Reload the transport from the recording (after recording, clearing or loading a take)
+function refreshTransport() {
+    stopPlayback();
+    loadTransportNotes();
+    updateTransportDisplay();
+    resetPianoRoll();
+}
+
+// The take was edited: pick up the changes and keep going from the same moment of the take
+// (the first note may have moved, so the position is carried over in recording time)
+function updateTransportNotes() {
+    const wasPlaying = transport.state === 'playing';
+    const moment = transport.origin + getTransportPosition();
+    haltScheduler();
+    loadTransportNotes();
+    const position = Math.max(0, Math.min(moment - transport.origin, transport.length));
+
+    if (transport.notes.length === 0 || (wasPlaying && position >= transport.length)) {
+        transport.state = 'stopped';
+        transport.position = 0;
+    } else if (wasPlaying) {
+        startPlayback(position);
+    } else if (transport.state === 'paused') {
+        transport.position = position;
     }
+    updateTransportDisplay();
+}
 
-    // Use the same piano voice but stop it after a short duration
-    const voice = createPianoVoice(frequency);
-    // stop after short fixed time (attack+decay+0.5s)
-    const stopAfter = pianoSettings.attack + pianoSettings.decay + 0.5;
-    setTimeout(() => {
-        voice.stop(0.35);
-    }, stopAfter * 1000);
+function getTransportPosition() {
+    if (transport.state !== 'playing') return transport.position;
+    const elapsed = Math.max(0, audioContext.currentTime - transport.anchorTime);
+    return Math.min(transport.length, transport.anchorPosition + elapsed * 1000 * transport.tempo);
+}
+
+// Convert a position in the take (ms) to an audioContext time
+function positionToContextTime(position) {
+    return transport.anchorTime + (position - transport.anchorPosition) / 1000 / transport.tempo;
+}
+
+// Queue a note on the audio clock; offset (ms) skips the part before a seek position
+function scheduleTakeNote(note, startTime, offset = 0) {
+    const keyLength = (getNoteEnd(note) - note.start - offset) / transport.tempo;
+    const duration = note.duration == null ? null : (note.soundEnd - note.start - offset) / 1000 / transport.tempo;
+    const voice = playbackNote(getNoteFrequency(note.note), note.note, startTime, duration, note.velocity);
+    const keyElement = findKeyByNote(note.note);
+
+    // Key highlight follows the audio clock (the key lifts even if the pedal keeps it ringing)
+    const onDelay = Math.max(0, (startTime - audioContext.currentTime) * 1000);
+    const offDelay = onDelay + Math.max(0, keyLength);
+    const timers = [
+        setTimeout(() => {
+            if (keyElement) activateKey(keyElement);
+            pressedKeyDisplay.textContent = note.note;
+        }, onDelay),
+        setTimeout(() => {
+            if (keyElement) keyElement.classList.remove('active');
+        }, offDelay)
+    ];
+
+    const endTime = startTime + Math.max(0, keyLength, (duration || 0) * 1000) / 1000;
+    transport.scheduled.push({ voice, keyElement, timers, endTime });
+}
+
+function schedulerTick() {
+    const horizon = audioContext.currentTime + SCHEDULE_AHEAD_TIME;
+
+    while (transport.nextIndex < transport.notes.length) {
+        const note = transport.notes[transport.nextIndex];
+        const startTime = positionToContextTime(note.start);
+        if (startTime > horizon) break;
+        scheduleTakeNote(note, startTime);
+        transport.nextIndex++;
+    }
+
+    transport.scheduled = transport.scheduled.filter(entry => entry.endTime > audioContext.currentTime);
+
+    if (transport.nextIndex >= transport.notes.length && getTransportPosition() >= transport.length) {
+        finishPlayback();
+        return;
+    }
+
+    updateTransportDisplay();
+}
+
+function startPlayback(fromPosition = transport.position) {
+    if (transport.notes.length === 0) return;
+    if (audioContext.state === 'suspended') audioContext.resume();
+    if (fromPosition >= transport.length) fromPosition = 0;
+
+    transport.state = 'playing';
+    transport.anchorPosition = fromPosition;
+    transport.anchorTime = audioContext.currentTime + PLAYBACK_START_DELAY;
+    transport.nextIndex = 0;
+
+    // Notes still sounding at the start position play their remaining length
+    while (transport.nextIndex < transport.notes.length && transport.notes[transport.nextIndex].start < fromPosition) {
+        const note = transport.notes[transport.nextIndex];
+        if (note.duration != null && note.soundEnd > fromPosition) {
+            scheduleTakeNote(note, transport.anchorTime, fromPosition - note.start);
+        }
+        transport.nextIndex++;
+    }
+
+    schedulerTick();
+    transport.timerId = setInterval(schedulerTick, SCHEDULER_INTERVAL);
+    console.log(`▶️ Playing recorded notes from ${formatTime(fromPosition)}...`);
+}
+
+// Stop the scheduler and cut off anything it already queued
+function haltScheduler() {
+    clearInterval(transport.timerId);
+    transport.timerId = null;
+    transport.scheduled.forEach(entry => {
+        entry.voice.stop(0.05);
+        entry.timers.forEach(clearTimeout);
+        if (entry.keyElement) entry.keyElement.classList.remove('active');
+    });
+    transport.scheduled = [];
+}
+
+function pausePlayback() {
+    if (transport.state !== 'playing') return;
+    transport.position = getTransportPosition();
+    haltScheduler();
+    transport.state = 'paused';
+    updateTransportDisplay();
+    console.log(`⏸️ Playback paused at ${formatTime(transport.position)}`);
+}
+
+function stopPlayback() {
+    haltScheduler();
+    transport.state = 'stopped';
+    transport.position = 0;
+    updateTransportDisplay();
+}
+
+// Reached the end of the take - let the last notes ring out
+function finishPlayback() {
+    clearInterval(transport.timerId);
+    transport.timerId = null;
+    transport.scheduled = [];
+    transport.state = 'stopped';
+    transport.position = 0;
+    updateTransportDisplay();
+    console.log('✅ Playback complete!');
+}
+
+function seekPlayback(position) {
+    position = Math.max(0, Math.min(position, transport.length));
+    if (transport.state === 'playing') {
+        haltScheduler();
+        startPlayback(position);
+    } else {
+        transport.position = position;
+        if (transport.state === 'stopped' && position > 0) transport.state = 'paused';
+    }
+    updateTransportDisplay();
+}
+
+function setPlaybackTempo(tempo) {
+    // Re-anchor so the current position stays put while the speed changes
+    if (transport.state === 'playing') {
+        transport.anchorPosition = getTransportPosition();
+        transport.anchorTime = Math.max(audioContext.currentTime, transport.anchorTime);
+    }
+    transport.tempo = tempo;
+}
+
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
 // ===== ACTIVATE KEY ANIMATION =====
@@ -348,51 +1065,208 @@ function findKeyByNote(note) {
     return Array.from(document.querySelectorAll('.key')).find(key => key.getAttribute('data-note') === note);
 }
 
-// ===== ATTACH EVENT LISTENERS TO KEYS =====
-function attachKeyListeners() {
-    const allPianoKeys = document.querySelectorAll('.key');
-    
-    allPianoKeys.forEach(key => {
-        const note = key.getAttribute('data-note');
-        const frequency = parseFloat(key.getAttribute('data-freq'));
-        const keyIdentifier = 'mouse-' + note;
-
-        // Mouse down - start sound
-        key.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            playNote(note, frequency, keyIdentifier);
-            activateKey(key);
-        });
+// ===== POINTER INPUT (mouse, pen and multi-touch - every pointer has its own voice) =====
+// Listeners sit on #piano-keys, so they survive the keys being re-rendered for a new range.
+// Touch pointers stay captured by the key they went down on, so the key under a moving
+// pointer is looked up from its position rather than from the event target.
+const pianoKeysElement = document.getElementById('piano-keys');
+const activePointers = new Map(); // pointerId -> { keyElement, keyIdentifier }, or null while off the keys
 
-        // Mouse up - stop sound
-        key.addEventListener('mouseup', () => {
-            releaseNote(keyIdentifier);
-            key.classList.remove('active');
-        });
+function getKeyAtPoint(x, y) {
+    const element = document.elementFromPoint(x, y);
+    return element ? element.closest('#piano-keys .key') : null;
+}
 
-        // Mouse leave - stop sound if mouse leaves while pressed
-        key.addEventListener('mouseleave', () => {
-            releaseNote(keyIdentifier);
-            key.classList.remove('active');
-        });
-    });
+function isKeyHeldByPointer(keyElement) {
+    return Array.from(activePointers.values()).some(pressed => pressed && pressed.keyElement === keyElement);
+}
+
+// Move a pointer onto a key (or off the keys with null): the old key is released first
+function setPointerKey(pointerId, keyElement) {
+    const pressed = activePointers.get(pointerId);
+    if (pressed && pressed.keyElement === keyElement) return;
+    activePointers.set(pointerId, null);
+
+    if (pressed) {
+        releaseNote(pressed.keyIdentifier);
+        // Another finger may still be holding the same key
+        if (!isKeyHeldByPointer(pressed.keyElement)) pressed.keyElement.classList.remove('active');
+    }
+    if (!keyElement) return;
+
+    const note = keyElement.getAttribute('data-note');
+    const keyIdentifier = `pointer-${pointerId}-${note}`;
+    activePointers.set(pointerId, { keyElement, keyIdentifier });
+    playNote(note, parseFloat(keyElement.getAttribute('data-freq')), keyIdentifier);
+    activateKey(keyElement);
+}
+
+function endPointer(pointerId) {
+    if (!activePointers.has(pointerId)) return;
+    setPointerKey(pointerId, null);
+    activePointers.delete(pointerId);
+}
+
+pianoKeysElement.addEventListener('pointerdown', (event) => {
+    const keyElement = event.target.closest('.key');
+    if (!keyElement || (event.pointerType === 'mouse' && event.button !== 0)) return;
+    event.preventDefault();
+
+    // While editing the mapping, a click picks the key to bind instead of playing it
+    if (mappingEditMode) {
+        selectMappingTarget(keyElement.getAttribute('data-note'));
+        return;
+    }
+    setPointerKey(event.pointerId, keyElement);
+});
+
+// Glissando: sliding onto another key releases the old one and strikes the new one
+document.addEventListener('pointermove', (event) => {
+    if (!activePointers.has(event.pointerId)) return;
+    setPointerKey(event.pointerId, getKeyAtPoint(event.clientX, event.clientY));
+});
+
+document.addEventListener('pointerup', (event) => endPointer(event.pointerId));
+document.addEventListener('pointercancel', (event) => endPointer(event.pointerId));
+
+// A long press on a touch screen would open the context menu
+pianoKeysElement.addEventListener('contextmenu', (event) => event.preventDefault());
+
+// ===== KEY FOCUS (arrow keys move between piano keys, Enter plays the focused one) =====
+let enterHeldKey = null; // { keyElement, keyIdentifier } while Enter is down on a key
+
+function focusPianoKey(keyElement) {
+    const current = pianoKeysElement.querySelector('.key[tabindex="0"]');
+    if (current) current.tabIndex = -1;
+    keyElement.tabIndex = 0;
+    focusableKeyNote = keyElement.getAttribute('data-note');
+    keyElement.focus();
+}
+
+function releaseEnterKey() {
+    if (!enterHeldKey) return;
+    releaseNote(enterHeldKey.keyIdentifier);
+    enterHeldKey.keyElement.classList.remove('active');
+    enterHeldKey = null;
+}
+
+pianoKeysElement.addEventListener('keydown', (event) => {
+    const keyElement = event.target.closest('.key');
+    if (!keyElement || mappingTarget) return;
+
+    const keys = Array.from(pianoKeysElement.querySelectorAll('.key'));
+    const index = keys.indexOf(keyElement);
+    const targets = {
+        ArrowLeft: keys[index - 1],
+        ArrowRight: keys[index + 1],
+        ArrowDown: keys[index - 12],
+        ArrowUp: keys[index + 12],
+        Home: keys[0],
+        End: keys[keys.length - 1]
+    };
+
+    if (event.key in targets) {
+        // The arrows would shift the octave / transpose otherwise
+        event.preventDefault();
+        event.stopPropagation();
+        if (targets[event.key]) focusPianoKey(targets[event.key]);
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.repeat || enterHeldKey) return;
+        const note = keyElement.getAttribute('data-note');
+        if (mappingEditMode) {
+            selectMappingTarget(note);
+            return;
+        }
+        enterHeldKey = { keyElement, keyIdentifier: `focus-${note}` };
+        playNote(note, parseFloat(keyElement.getAttribute('data-freq')), enterHeldKey.keyIdentifier);
+        activateKey(keyElement);
+    }
+});
+
+pianoKeysElement.addEventListener('keyup', (event) => {
+    if (event.key !== 'Enter' || !enterHeldKey) return;
+    event.stopPropagation();
+    releaseEnterKey();
+});
+
+pianoKeysElement.addEventListener('focusout', releaseEnterKey);
+
+// Focus that lands on a key another way (a screen reader's cursor) moves the Tab stop there
+pianoKeysElement.addEventListener('focusin', (event) => {
+    const keyElement = event.target.closest('.key');
+    if (keyElement && keyElement.tabIndex !== 0) focusPianoKey(keyElement);
+});
+
+// ===== NOTE ANNOUNCEMENTS (live region for screen readers) =====
+const ANNOUNCE_DELAY = 150; // ms; notes struck together are read out as one chord
+let announcedNotes = [];
+let announceTimer = null;
+
+function announceNote(noteName) {
+    announcedNotes.push(getSpokenNoteName(noteName));
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        const text = announcedNotes.join(', ');
+        // The same text again would not be read out, so make it differ
+        noteAnnouncer.textContent = noteAnnouncer.textContent === text ? `${text}\u00a0` : text;
+        announcedNotes = [];
+    }, ANNOUNCE_DELAY);
 }
 
-// Call after piano is rendered
-setTimeout(attachKeyListeners, 100);
+// Typing into a form control should not play the piano
+function isFormField(element) {
+    return element instanceof HTMLElement && element.matches('input, select, textarea, [contenteditable="true"]');
+}
+
+// Buttons, links and form controls keep Space for their own activation. Focused piano keys
+// don't count: on the instrument itself Space stays the sustain pedal (Enter plays a key).
+function isFocusableControl(element) {
+    return element instanceof HTMLElement &&
+        element.matches('input, select, textarea, button, a[href], summary, [role="button"]:not(.key), [tabindex]:not(.key)');
+}
+
+// Fields that take typed text (preset name...) - every key belongs to them
+function isTextField(element) {
+    return element instanceof HTMLElement && element.matches('input[type="text"], textarea, [contenteditable="true"]');
+}
 
 // ===== KEYBOARD EVENT (KEY DOWN - with Hold Support) =====
 document.addEventListener('keydown', (event) => {
-    const keyPressed = event.key.toLowerCase();
+    if (isTextField(event.target)) return;
+
+    // Mapping editor waiting for a key: the next key press is the binding
+    if (mappingTarget) {
+        event.preventDefault();
+        handleMappingKey(event);
+        return;
+    }
+
+    // Space bar works as a sustain pedal while held
+    if (event.code === 'Space' && !isFocusableControl(event.target)) {
+        event.preventDefault();
+        if (!event.repeat) setSustainPedal(true);
+        return;
+    }
+
+    // Arrow keys shift the mapping: left/right = octave, down/up = semitone
+    if (shiftHotkeys[event.key] && !isFormField(event.target)) {
+        event.preventDefault();
+        shiftHotkeys[event.key]();
+        return;
+    }
+
+    const keyPressed = getEventToken(event, matchPhysicalKeys);
     
     // Prevent repeated keydown events when key is held
     if (pressedKeys.has(keyPressed)) {
         return;
     }
-    pressedKeys.add(keyPressed);
 
     // Check if key is mapped
-    const mappedNote = keyboardMap[keyPressed];
+    const mappedNote = getMappedNote(keyPressed);
+    pressedKeys.set(keyPressed, mappedNote);
     if (mappedNote) {
         const keyElement = findKeyByNote(mappedNote);
         if (keyElement) {
@@ -407,15 +1281,23 @@ document.addEventListener('keydown', (event) => {
 
 // ===== KEYBOARD EVENT (KEY UP - Release Sound) =====
 document.addEventListener('keyup', (event) => {
-    const keyPressed = event.key.toLowerCase();
+    if (isTextField(event.target) && !pressedKeys.has(getEventToken(event, matchPhysicalKeys))) return;
+
+    if (event.code === 'Space' && !isFocusableControl(event.target)) {
+        event.preventDefault();
+        setSustainPedal(false);
+        return;
+    }
+
+    const keyPressed = getEventToken(event, matchPhysicalKeys);
     
     if (pressedKeys.has(keyPressed)) {
         const keyIdentifier = 'keyboard-' + keyPressed;
         releaseNote(keyIdentifier);
-        pressedKeys.delete(keyPressed);
         
-        // Remove active class from key
-        const mappedNote = keyboardMap[keyPressed];
+        // Remove active class from the key it started
+        const mappedNote = pressedKeys.get(keyPressed);
+        pressedKeys.delete(keyPressed);
         if (mappedNote) {
             const keyElement = findKeyByNote(mappedNote);
             if (keyElement) {
@@ -425,132 +1307,3271 @@ document.addEventListener('keyup', (event) => {
     }
 });
 
-// ===== VOLUME CONTROL =====
-volumeSlider.addEventListener('input', (event) => {
-    volume = event.target.value / 100;
+// ===== WEB MIDI INPUT (hardware controllers) =====
+const MIDI_SUSTAIN_CC = 64;
+const MIDI_ALL_NOTES_OFF_CC = 123;
+let midiAccess = null;
+let activeMidiInputs = [];
+let heldMidiNotes = new Set(); // MIDI note numbers currently down
+let midiInputIds = ''; // connected inputs when the picker was last filled
+
+function handleMidiNoteOn(midiNumber, velocity) {
+    const noteName = midiToNoteName(midiNumber);
+    const keyElement = findKeyByNote(noteName);
+    if (!keyElement) return; // outside the keyboard range
+
+    const frequency = parseFloat(keyElement.getAttribute('data-freq'));
+    heldMidiNotes.add(midiNumber);
+    playNote(noteName, frequency, 'midi-' + midiNumber, velocity / 127);
+    activateKey(keyElement);
+}
+
+function handleMidiNoteOff(midiNumber) {
+    if (!heldMidiNotes.has(midiNumber)) return;
+    heldMidiNotes.delete(midiNumber);
+    releaseNote('midi-' + midiNumber);
+
+    const keyElement = findKeyByNote(midiToNoteName(midiNumber));
+    if (keyElement) {
+        keyElement.classList.remove('active');
+    }
+}
+
+function releaseAllMidiNotes() {
+    Array.from(heldMidiNotes).forEach(handleMidiNoteOff);
+}
+
+function handleMidiMessage(event) {
+    const [status, data1, data2] = event.data;
+    const type = status & 0xf0;
+
+    if (type === 0x90 && data2 > 0) {
+        handleMidiNoteOn(data1, data2);
+    } else if (type === 0x80 || type === 0x90) {
+        handleMidiNoteOff(data1);
+    } else if (type === 0xb0 && data1 === MIDI_SUSTAIN_CC) {
+        setSustainPedal(data2 >= 64);
+    } else if (type === 0xb0 && data1 === MIDI_ALL_NOTES_OFF_CC) {
+        releaseAllMidiNotes();
+    }
+}
+
+// Listen to the device chosen in the picker ('all' = every connected input)
+function selectMidiInput(inputId) {
+    activeMidiInputs.forEach(input => { input.onmidimessage = null; });
+    releaseAllMidiNotes();
+    setSustainPedal(false);
+
+    if (!midiAccess) return;
+    activeMidiInputs = Array.from(midiAccess.inputs.values())
+        .filter(input => inputId === 'all' || input.id === inputId);
+    activeMidiInputs.forEach(input => { input.onmidimessage = handleMidiMessage; });
+}
+
+function populateMidiInputs() {
+    const previous = midiInputSelect.value;
+    const inputs = Array.from(midiAccess.inputs.values());
+
+    // Opening a port also fires statechange - only rebuild when devices come or go
+    const ids = inputs.map(input => input.id).join('|');
+    if (ids === midiInputIds && midiInputSelect.options.length > 0 && !midiInputSelect.disabled) return;
+    midiInputIds = ids;
+
+    midiInputSelect.innerHTML = '';
+    if (inputs.length === 0) {
+        midiInputSelect.add(new Option('No devices found', ''));
+        midiInputSelect.disabled = true;
+    } else {
+        midiInputSelect.add(new Option('All devices', 'all'));
+        inputs.forEach(input => midiInputSelect.add(new Option(input.name || 'MIDI device', input.id)));
+        midiInputSelect.disabled = false;
+        midiInputSelect.value = inputs.some(input => input.id === previous) ? previous : 'all';
+    }
+
+    selectMidiInput(midiInputSelect.value);
+}
+
+midiConnectBtn.addEventListener('click', async () => {
+    if (!navigator.requestMIDIAccess) {
+        alert('Web MIDI is not supported in this browser. Try Chrome, Edge or Opera.');
+        return;
+    }
+
+    try {
+        midiAccess = await navigator.requestMIDIAccess();
+        midiAccess.onstatechange = (event) => {
+            if (event.port.type === 'input') populateMidiInputs();
+        };
+        populateMidiInputs();
+        midiConnectBtn.style.display = 'none';
+        console.log(`🎛️ Web MIDI enabled: ${midiAccess.inputs.size} input(s) found.`);
+    } catch (error) {
+        alert(`Could not access MIDI devices: ${error.message}`);
+        console.error('❌ Web MIDI access failed:', error);
+    }
+});
+
+midiInputSelect.addEventListener('change', (event) => {
+    selectMidiInput(event.target.value);
+});
+
+if (!navigator.requestMIDIAccess) {
+    midiInputSelect.options[0].textContent = 'Not supported';
+    midiConnectBtn.disabled = true;
+}
+
+// ===== ON-SCREEN SUSTAIN PEDAL =====
+function updateSustainDisplay() {
+    sustainBtn.classList.toggle('active', sustainPedalDown);
+    sustainBtn.setAttribute('aria-pressed', sustainPedalDown);
+    sustainBtn.innerHTML = `<i class="fas fa-shoe-prints"></i> Sustain: ${sustainPedalDown ? 'On' : 'Off'}`;
+}
+
+sustainBtn.addEventListener('click', () => {
+    setSustainPedal(!sustainPedalDown);
+});
+
+// ===== VOLUME CONTROL =====
+volumeSlider.addEventListener('input', (event) => {
+    volume = event.target.value / 100;
     volumeValue.textContent = event.target.value + '%';
 });
 
-// ===== PRESET SELECTOR =====
-presetSelector.addEventListener('change', (event) => {
-    currentPreset = event.target.value;
-    console.log(`🎹 Preset changed to: ${soundPresets[currentPreset].name}`);
+// ===== PRESET SELECTOR =====
+presetSelector.addEventListener('change', (event) => {
+    selectPreset(event.target.value);
+    console.log(`🎹 Preset changed to: ${soundPresets[currentPreset].name}`);
+});
+
+function selectPreset(id) {
+    currentPreset = soundPresets[id] ? id : 'warm';
+    presetSelector.value = currentPreset;
+    if (presetDraft) {
+        openPresetEditor();
+    } else {
+        applyPresetEffects();
+    }
+    storeSettings();
+}
+
+// ===== PRESET EDITOR =====
+const BUILT_IN_PRESETS = Object.keys(soundPresets);
+const PREVIEW_NOTES = ['C4', 'E4', 'G4'];
+const PREVIEW_LENGTH = 0.9; // seconds each preview note is held
+
+// Saved presets join the built-in ones
+loadCustomPresets().forEach(preset => {
+    soundPresets[preset.id] = preset;
+});
+
+function isBuiltInPreset(id) {
+    return BUILT_IN_PRESETS.includes(id);
+}
+
+function getCustomPresets() {
+    return Object.keys(soundPresets).filter(id => !isBuiltInPreset(id)).map(id => soundPresets[id]);
+}
+
+// Custom presets are listed after the built-in ones under "My Presets"
+function populatePresetSelector() {
+    const oldGroup = presetSelector.querySelector('optgroup');
+    if (oldGroup) oldGroup.remove();
+
+    const customPresets = getCustomPresets();
+    if (customPresets.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'My Presets';
+        customPresets.forEach(preset => group.appendChild(new Option(preset.name, preset.id)));
+        presetSelector.appendChild(group);
+    }
+    presetSelector.value = currentPreset;
+}
+
+function storeCustomPresets() {
+    try {
+        saveCustomPresets(getCustomPresets());
+    } catch (error) {
+        console.error('Could not save presets:', error);
+        alert('⚠️ Could not save presets: ' + error.message);
+    }
+}
+
+// Settings are addressed by path, e.g. 'attack' or 'effects.reverb.mix'
+function getPresetSetting(path) {
+    return path.split('.').reduce((settings, key) => settings[key], presetDraft);
+}
+
+function setPresetSetting(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((settings, key) => settings[key], presetDraft)[last] = value;
+}
+
+// "On" checkboxes carry data-invert: checked means not bypassed
+function readPresetInput(input) {
+    if (input.type === 'checkbox') return input.dataset.invert !== undefined ? !input.checked : input.checked;
+    if (input.type === 'range') return parseFloat(input.value);
+    return input.value;
+}
+
+function writePresetInput(input, value) {
+    if (input.type === 'checkbox') {
+        input.checked = input.dataset.invert !== undefined ? !value : value;
+    } else {
+        input.value = value;
+    }
+}
+
+function formatPresetValue(path, value) {
+    switch (path.split('.').pop()) {
+        case 'inharmonicity': return value.toFixed(4);
+        case 'detune': return `${Math.round(value)}¢`;
+        case 'filterFreq': return `×${value}`;
+        case 'filterQ': return value.toFixed(1);
+        case 'sustain':
+        case 'noiseLevel':
+        case 'mix':
+        case 'feedback': return `${Math.round(value * 100)}%`;
+        case 'low':
+        case 'mid':
+        case 'high': return `${value > 0 ? '+' : ''}${value} dB`;
+        case 'threshold': return `${value} dB`;
+        case 'ratio': return `${value}:1`;
+        case 'time': return `${Math.round(value * 1000)} ms`;
+        case 'bpm': return `${value} BPM`;
+        default: return `${value}s`;
+    }
+}
+
+function showPresetValue(path) {
+    const label = presetEditor.querySelector(`[data-preset-value="${path}"]`);
+    if (label) label.textContent = formatPresetValue(path, getPresetSetting(path));
+}
+
+// A synced delay takes its time from the tempo and note division
+function updateDelayTimeControl() {
+    const delay = presetDraft.effects.delay;
+    presetEditor.querySelector('[data-preset-setting="effects.delay.time"]').disabled = delay.sync;
+    presetEditor.querySelector('[data-preset-value="effects.delay.time"]').textContent = formatPresetValue('time', getDelayTime(delay));
+}
+
+// Default amplitude for a newly added partial: falls off with the harmonic number
+function defaultPartialAmplitude(index) {
+    return Math.round(100 / Math.pow(index + 1, 1.5)) / 100;
+}
+
+function renderPartialSliders() {
+    presetPartials.innerHTML = '';
+    presetPartialCount.value = presetDraft.partials.length;
+    presetPartialCountValue.textContent = presetDraft.partials.length;
+
+    presetDraft.partials.forEach((amplitude, index) => {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = 1;
+        slider.step = 0.01;
+        slider.value = amplitude;
+        slider.dataset.partial = index;
+        slider.title = `Harmonic ${index + 1}: ${Math.round(amplitude * 100)}%`;
+        slider.setAttribute('aria-label', `Harmonic ${index + 1} amplitude`);
+        presetPartials.appendChild(slider);
+    });
+}
+
+// Fill the editor from a copy of the selected preset
+function openPresetEditor() {
+    presetDraft = normalizePreset(JSON.parse(JSON.stringify(soundPresets[currentPreset])));
+    presetDraft.id = currentPreset;
+
+    presetNameInput.value = presetDraft.name;
+    presetEditor.querySelectorAll('[data-preset-setting]').forEach(input => {
+        const path = input.dataset.presetSetting;
+        writePresetInput(input, getPresetSetting(path));
+        showPresetValue(path);
+    });
+    renderPartialSliders();
+    updateDelayTimeControl();
+
+    presetDeleteBtn.disabled = isBuiltInPreset(currentPreset);
+    presetEditor.hidden = false;
+    applyPresetEffects();
+}
+
+// Unsaved changes are dropped - the selected preset sounds again
+function closePresetEditor() {
+    presetDraft = null;
+    presetEditor.hidden = true;
+    applyPresetEffects();
+}
+
+function previewPreset() {
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const start = audioContext.currentTime + 0.02;
+    PREVIEW_NOTES.forEach((note, i) => {
+        const noteStart = start + i * 0.12;
+        const voice = createPianoVoice(getNoteFrequency(note), { startTime: noteStart });
+        voice.stop(presetDraft.release, noteStart + PREVIEW_LENGTH);
+    });
+}
+
+// Every change is heard straight away: the draft is what the keys play while the editor is open
+presetEditor.addEventListener('input', (event) => {
+    const target = event.target;
+    if (target.dataset.presetSetting) {
+        const path = target.dataset.presetSetting;
+        setPresetSetting(path, readPresetInput(target));
+        showPresetValue(path);
+        if (path.startsWith('effects.')) {
+            updateDelayTimeControl();
+            applyPresetEffects();
+        }
+    } else if (target.dataset.partial !== undefined) {
+        presetDraft.partials[target.dataset.partial] = parseFloat(target.value);
+        target.title = `Harmonic ${parseInt(target.dataset.partial, 10) + 1}: ${Math.round(target.value * 100)}%`;
+    } else if (target === presetPartialCount) {
+        const count = parseInt(target.value, 10);
+        while (presetDraft.partials.length < count) {
+            presetDraft.partials.push(defaultPartialAmplitude(presetDraft.partials.length));
+        }
+        presetDraft.partials.length = count;
+        renderPartialSliders();
+    } else if (target === presetNameInput) {
+        presetDraft.name = target.value;
+    }
+});
+
+presetEditBtn.addEventListener('click', () => {
+    if (presetDraft) {
+        closePresetEditor();
+    } else {
+        openPresetEditor();
+    }
+});
+
+presetPreviewBtn.addEventListener('click', previewPreset);
+presetCloseBtn.addEventListener('click', closePresetEditor);
+
+// Built-in presets are never overwritten - saving one creates a new custom preset
+presetSaveBtn.addEventListener('click', () => {
+    const preset = normalizePreset(presetDraft);
+    if (isBuiltInPreset(preset.id)) {
+        preset.id = createPresetId();
+        if (preset.name === soundPresets[currentPreset].name) preset.name += ' (Custom)';
+    }
+
+    soundPresets[preset.id] = preset;
+    storeCustomPresets();
+    populatePresetSelector();
+    selectPreset(preset.id);
+    renderTakeList();
+    console.log(`💾 Saved preset: ${preset.name}`);
+});
+
+presetDeleteBtn.addEventListener('click', () => {
+    if (isBuiltInPreset(currentPreset)) return;
+    if (!confirm(`Delete the preset "${soundPresets[currentPreset].name}"?`)) return;
+
+    delete soundPresets[currentPreset];
+    storeCustomPresets();
+    populatePresetSelector();
+    selectPreset('warm');
+    renderTakeList();
+});
+
+presetExportBtn.addEventListener('click', () => {
+    const preset = normalizePreset(presetDraft);
+    downloadBlob(new Blob([presetToJson(preset)], { type: 'application/json' }), `${safeFileName(preset.name)}.json`);
+    console.log(`💾 Exported preset: ${preset.name}`);
+});
+
+presetImportBtn.addEventListener('click', () => {
+    presetFileInput.value = '';
+    presetFileInput.click();
+});
+
+presetFileInput.addEventListener('change', async (event) => {
+    const files = Array.from(event.target.files || []);
+    const failures = [];
+    let lastImported = null;
+
+    for (const file of files) {
+        try {
+            parsePresetJson(await file.text()).forEach(preset => {
+                // Never replace a built-in or existing preset
+                if (soundPresets[preset.id]) preset.id = createPresetId();
+                soundPresets[preset.id] = preset;
+                lastImported = preset;
+            });
+        } catch (error) {
+            console.error(`Preset import failed (${file.name}):`, error);
+            failures.push(`${file.name}: ${error.message}`);
+        }
+    }
+
+    if (lastImported) {
+        storeCustomPresets();
+        populatePresetSelector();
+        selectPreset(lastImported.id);
+        console.log(`📂 Imported preset: ${lastImported.name}`);
+    }
+    if (failures.length > 0) {
+        alert('⚠️ Could not import:\n' + failures.join('\n'));
+    }
+});
+
+populatePresetSelector();
+
+// ===== KEYBOARD RANGE =====
+const MIN_RANGE_KEYS = 12;
+
+function updateRangeSubtitle() {
+    const octaves = Math.round(allKeys.length / 12 * 10) / 10;
+    subtitle.textContent = `${allKeys.length} Keys • ${octaves} Octaves (${allKeys[0].note}-${allKeys[allKeys.length - 1].note})`;
+}
+
+// Silence everything that is sounding before the keys it belongs to disappear
+function releaseAllNotes() {
+    Array.from(activeOscillators.keys()).forEach(releaseVoice);
+    chordCompanions.clear();
+    activePointers.clear();
+    pressedKeys.clear();
+    heldMidiNotes.clear();
+}
+
+function setKeyboardRange(start, end) {
+    if (start === keyboardRange.start && end === keyboardRange.end) return;
+
+    releaseAllNotes();
+    keyboardRange = { start, end };
+    allKeys = generatePianoKeys(start, end);
+    renderPiano();
+    updateRangeSubtitle();
+    renderPianoRoll();
+    storeSettings();
+    console.log(`🎹 Keyboard range: ${allKeys[0].note}-${allKeys[allKeys.length - 1].note} (${allKeys.length} keys)`);
+}
+
+// Custom range pickers list the white keys from A0 to C8
+function populateRangePickers() {
+    generatePianoKeys(MIN_MIDI_NOTE, MAX_MIDI_NOTE)
+        .filter(key => !key.isBlack)
+        .forEach(key => {
+            rangeStartSelect.add(new Option(key.note, key.midi));
+            rangeEndSelect.add(new Option(key.note, key.midi));
+        });
+}
+
+function syncRangePickers() {
+    rangeStartSelect.value = keyboardRange.start;
+    rangeEndSelect.value = keyboardRange.end;
+}
+
+rangeSelector.addEventListener('change', (event) => {
+    const isCustom = event.target.value === 'custom';
+    customRange.hidden = !isCustom;
+    if (isCustom) {
+        syncRangePickers();
+        return;
+    }
+    const range = keyboardRanges[event.target.value];
+    setKeyboardRange(range.start, range.end);
+});
+
+function handleCustomRangeChange() {
+    const start = parseInt(rangeStartSelect.value, 10);
+    const end = parseInt(rangeEndSelect.value, 10);
+
+    if (end - start + 1 < MIN_RANGE_KEYS) {
+        alert(`⚠️ The highest key must be at least ${MIN_RANGE_KEYS} keys above the lowest key.`);
+        syncRangePickers();
+        return;
+    }
+    setKeyboardRange(start, end);
+}
+
+rangeStartSelect.addEventListener('change', handleCustomRangeChange);
+rangeEndSelect.addEventListener('change', handleCustomRangeChange);
+
+populateRangePickers();
+syncRangePickers();
+
+// Zoom keeps the middle of the visible keys in place
+keyZoomSlider.addEventListener('input', (event) => {
+    const scrollArea = pianoKeysElement.parentElement;
+    const centre = (scrollArea.scrollLeft + scrollArea.clientWidth / 2) / Math.max(1, scrollArea.scrollWidth);
+    keyboardZoom = event.target.value / 100;
+    keyZoomValue.textContent = `${event.target.value}%`;
+    layoutPiano();
+    scrollArea.scrollLeft = centre * scrollArea.scrollWidth - scrollArea.clientWidth / 2;
+});
+
+// Refit the keys when the window size changes
+let layoutTimer = null;
+window.addEventListener('resize', () => {
+    clearTimeout(layoutTimer);
+    layoutTimer = setTimeout(layoutPiano, 100);
+});
+
+// ===== OCTAVE SHIFT / TRANSPOSE CONTROLS =====
+function formatShift(value) {
+    return value > 0 ? `+${value}` : `${value}`;
+}
+
+// Re-label the keys and the row legend after the mapping moved
+function updateShiftDisplay() {
+    octaveValue.textContent = formatShift(octaveShift);
+    transposeValue.textContent = formatShift(transposeSemitones);
+    transposeSlider.value = transposeSemitones;
+    octaveDownBtn.disabled = octaveShift <= MIN_OCTAVE_SHIFT;
+    octaveUpBtn.disabled = octaveShift >= MAX_OCTAVE_SHIFT;
+
+    const offset = octaveShift * 12 + transposeSemitones;
+    document.querySelectorAll('.legend-range').forEach(legend => {
+        const rowStart = noteNameToMidi(`C${legend.dataset.row}`) + offset;
+        legend.textContent = `${midiToNoteName(rowStart)}-${midiToNoteName(rowStart + 11)}`;
+    });
+
+    buildNoteToKeyMap();
+    updateKeyboardLabels();
+}
+
+function setOctaveShift(value) {
+    const shift = Math.max(MIN_OCTAVE_SHIFT, Math.min(MAX_OCTAVE_SHIFT, value));
+    if (shift === octaveShift) return;
+    octaveShift = shift;
+    updateShiftDisplay();
+    storeSettings();
+    console.log(`🎹 Octave shift: ${formatShift(octaveShift)}`);
+}
+
+function setTranspose(value) {
+    const semitones = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, value));
+    if (semitones === transposeSemitones) return;
+    transposeSemitones = semitones;
+    updateShiftDisplay();
+    storeSettings();
+    console.log(`🎹 Transpose: ${formatShift(transposeSemitones)} semitones`);
+}
+
+const shiftHotkeys = {
+    ArrowLeft: () => setOctaveShift(octaveShift - 1),
+    ArrowRight: () => setOctaveShift(octaveShift + 1),
+    ArrowDown: () => setTranspose(transposeSemitones - 1),
+    ArrowUp: () => setTranspose(transposeSemitones + 1)
+};
+
+octaveDownBtn.addEventListener('click', () => setOctaveShift(octaveShift - 1));
+octaveUpBtn.addEventListener('click', () => setOctaveShift(octaveShift + 1));
+transposeSlider.addEventListener('input', (event) => setTranspose(parseInt(event.target.value, 10)));
+
+updateShiftDisplay();
+
+// ===== THEORY CONTROLS (scale highlight, one-finger chords) =====
+PITCH_CLASS_NAMES.forEach((name, pitchClass) => theoryRootSelect.add(new Option(name, pitchClass)));
+Object.keys(SCALES).forEach(id => theoryScaleSelect.add(new Option(SCALES[id].name, id)));
+
+function describeScale() {
+    return `${PITCH_CLASS_NAMES[theorySettings.root]} ${SCALES[theorySettings.scale].name}`;
+}
+
+theoryRootSelect.addEventListener('change', (event) => {
+    theorySettings.root = parseInt(event.target.value, 10);
+    updateScaleHighlight();
+    if (theorySettings.scale !== 'off') console.log(`🎓 Scale: ${describeScale()}`);
+});
+
+theoryScaleSelect.addEventListener('change', (event) => {
+    theorySettings.scale = event.target.value;
+    updateScaleHighlight();
+    console.log(theorySettings.scale === 'off' ? '🎓 Scale highlight off' : `🎓 Scale: ${describeScale()}`);
+});
+
+oneFingerChordSelect.addEventListener('change', (event) => {
+    releaseAllNotes(); // companions of held keys belong to the old chord
+    document.querySelectorAll('.key.active').forEach(key => key.classList.remove('active'));
+    theorySettings.oneFingerChord = event.target.value;
+    console.log(`🎓 One-finger chords: ${event.target.selectedOptions[0].textContent}`);
+});
+
+// ===== TUNING CONTROLS (temperament, key, A4 reference, Scala files) =====
+PITCH_CLASS_NAMES.forEach((name, pitchClass) => tuningRootSelect.add(new Option(name, pitchClass)));
+
+function populateTemperaments() {
+    tuningTemperamentSelect.innerHTML = '';
+    Object.keys(TEMPERAMENTS).forEach(id => tuningTemperamentSelect.add(new Option(TEMPERAMENTS[id].name, id)));
+    if (tuningSettings.scalaScale) {
+        tuningTemperamentSelect.add(new Option(`Scala: ${tuningSettings.scalaScale.name}`, 'scala'));
+    }
+    tuningTemperamentSelect.value = tuningSettings.temperament;
+}
+
+function describeTuning() {
+    const keyed = tuningSettings.temperament === 'equal' ? '' : ` on ${PITCH_CLASS_NAMES[tuningSettings.root]}`;
+    return `${tuning.name}${keyed}, A4 = ${tuningSettings.reference} Hz`;
+}
+
+// Retune every key in place: held notes keep their pitch, the next ones use the new tuning
+function applyTuning() {
+    const scale = tuningSettings.temperament === 'scala' ? tuningSettings.scalaScale : TEMPERAMENTS[tuningSettings.temperament];
+    tuning = createTuning(scale, tuningSettings.root, tuningSettings.reference);
+
+    allKeys.forEach(keyData => {
+        keyData.frequency = midiToFrequency(keyData.midi);
+        const keyElement = findKeyByNote(keyData.note);
+        if (keyElement) keyElement.setAttribute('data-freq', keyData.frequency.toFixed(2));
+    });
+
+    tuningRootSelect.disabled = tuningSettings.temperament === 'equal';
+    referencePitchValue.textContent = `${tuningSettings.reference} Hz`;
+    storeSettings();
+    console.log(`🎚️ Tuning: ${describeTuning()}`);
+}
+
+tuningTemperamentSelect.addEventListener('change', (event) => {
+    tuningSettings.temperament = event.target.value;
+    applyTuning();
+});
+
+tuningRootSelect.addEventListener('change', (event) => {
+    tuningSettings.root = parseInt(event.target.value, 10);
+    applyTuning();
+});
+
+referencePitchSlider.addEventListener('input', (event) => {
+    tuningSettings.reference = parseInt(event.target.value, 10);
+    applyTuning();
+});
+
+scalaImportBtn.addEventListener('click', () => {
+    scalaFileInput.value = '';
+    scalaFileInput.click();
+});
+
+scalaFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    try {
+        const scale = parseScalaFile(await file.text());
+        if (!scale.name) scale.name = file.name.replace(/\.scl$/i, '');
+        tuningSettings.scalaScale = scale;
+        tuningSettings.temperament = 'scala';
+        populateTemperaments();
+        applyTuning();
+        console.log(`📂 Loaded Scala scale: ${scale.name} (${scale.steps.length} notes per ${scale.period.toFixed(1)} cents)`);
+    } catch (error) {
+        console.error(`Scala import failed (${file.name}):`, error);
+        alert(`Could not load ${file.name}:\n${error.message}`);
+    }
+});
+
+populateTemperaments();
+
+// ===== KEYBOARD MAPPING PROFILES & EDITOR =====
+let mappingEditMode = false;
+let mappingTarget = null; // note waiting for a computer key
+
+// Keys that keep their own job and can't be bound (pedal, shift hotkeys, editor keys)
+const RESERVED_MAPPING_KEYS = [' ', 'Escape', 'Backspace', 'Delete', ...Object.keys(shiftHotkeys)];
+
+function populateKeyProfiles() {
+    keyProfileSelect.innerHTML = '';
+    keyProfiles.forEach(profile => {
+        keyProfileSelect.add(new Option(profile.name, profile.id));
+    });
+    keyProfileSelect.value = activeKeyProfile.id;
+    mappingDeleteBtn.disabled = activeKeyProfile.builtIn;
+}
+
+// Release keys held under the old mapping - their key-up would no longer match
+function releaseKeyboardKeys() {
+    pressedKeys.forEach((note, token) => {
+        releaseNote('keyboard-' + token);
+        const keyElement = note && findKeyByNote(note);
+        if (keyElement) keyElement.classList.remove('active');
+    });
+    pressedKeys.clear();
+}
+
+function applyKeyProfile() {
+    releaseKeyboardKeys();
+    buildKeyboardMap();
+    buildNoteToKeyMap();
+    updateKeyboardLabels();
+    saveKeyMappingSettings(activeKeyProfile.id, matchPhysicalKeys);
+}
+
+function setActiveKeyProfile(id) {
+    activeKeyProfile = keyProfiles.find(profile => profile.id === id) || keyProfiles[0];
+    populateKeyProfiles();
+    applyKeyProfile();
+    console.log(`⌨️ Keyboard mapping: ${activeKeyProfile.name}`);
+}
+
+function updateMappingStatus() {
+    mappingStatus.hidden = !mappingEditMode;
+    mappingStatus.textContent = mappingTarget
+        ? `⌨️ Press a computer key for ${mappingTarget} (Backspace = unbind, Esc = cancel)`
+        : '⌨️ Click a piano key, then press the computer key to bind to it. Click Done when finished.';
+
+    document.querySelectorAll('.key.mapping-target').forEach(key => key.classList.remove('mapping-target'));
+    const targetKey = mappingTarget && findKeyByNote(mappingTarget);
+    if (targetKey) targetKey.classList.add('mapping-target');
+}
+
+function setMappingEditMode(isEditing) {
+    mappingEditMode = isEditing;
+    mappingTarget = null;
+    document.body.classList.toggle('mapping-edit', isEditing);
+    mappingEditBtn.innerHTML = isEditing ? '<i class="fas fa-check"></i> Done' : '<i class="fas fa-pen"></i> Edit';
+    updateMappingStatus();
+}
+
+function selectMappingTarget(note) {
+    mappingTarget = note;
+    updateMappingStatus();
+}
+
+function handleMappingKey(event) {
+    if (event.key === 'Escape') {
+        selectMappingTarget(null);
+        return;
+    }
+
+    // Bindings are stored unshifted, so the key plays this note at the current octave / transpose
+    const baseNote = midiToNoteName(noteNameToMidi(mappingTarget) - octaveShift * 12 - transposeSemitones);
+
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+        activeKeyProfile.bindings = activeKeyProfile.bindings.filter(binding => binding.note !== baseNote);
+    } else if (event.key.length === 1 && !RESERVED_MAPPING_KEYS.includes(event.key)) {
+        const binding = { key: event.key.toLowerCase(), code: event.code, note: baseNote };
+        const token = getBindingToken(binding, matchPhysicalKeys);
+        activeKeyProfile.bindings = activeKeyProfile.bindings
+            .filter(existing => existing.note !== baseNote && getBindingToken(existing, matchPhysicalKeys) !== token)
+            .concat(binding);
+    } else {
+        return; // modifier, dead key, arrow... keep waiting
+    }
+
+    saveKeyProfiles(keyProfiles);
+    applyKeyProfile();
+    selectMappingTarget(null);
+}
+
+mappingEditBtn.addEventListener('click', () => {
+    if (mappingEditMode) {
+        setMappingEditMode(false);
+        console.log(`⌨️ Saved keyboard mapping: ${activeKeyProfile.name}`);
+        return;
+    }
+
+    // Built-in layouts stay untouched - edit a copy
+    if (activeKeyProfile.builtIn) {
+        const name = prompt('Name for your keyboard mapping:', `My ${activeKeyProfile.name.replace(/ \(.*\)$/, '')}`);
+        if (!name || !name.trim()) return;
+        const copy = normalizeKeyProfile({ name, bindings: activeKeyProfile.bindings });
+        keyProfiles.push(copy);
+        saveKeyProfiles(keyProfiles);
+        setActiveKeyProfile(copy.id);
+    }
+    setMappingEditMode(true);
+});
+
+mappingDeleteBtn.addEventListener('click', () => {
+    if (activeKeyProfile.builtIn) return;
+    if (!confirm(`Delete the keyboard mapping "${activeKeyProfile.name}"?`)) return;
+
+    keyProfiles = keyProfiles.filter(profile => profile !== activeKeyProfile);
+    saveKeyProfiles(keyProfiles);
+    setMappingEditMode(false);
+    setActiveKeyProfile('qwerty');
+});
+
+keyProfileSelect.addEventListener('change', (event) => {
+    setMappingEditMode(false);
+    setActiveKeyProfile(event.target.value);
+});
+
+matchPhysicalKeysCheckbox.addEventListener('change', (event) => {
+    matchPhysicalKeys = event.target.checked;
+    applyKeyProfile();
+    console.log(`⌨️ Matching keys by ${matchPhysicalKeys ? 'physical position' : 'typed character'}`);
+});
+
+matchPhysicalKeysCheckbox.checked = matchPhysicalKeys;
+populateKeyProfiles();
+
+// ===== TOGGLE KEY LABELS =====
+showLabelsCheckbox.addEventListener('change', (event) => {
+    if (event.target.checked) {
+        document.body.classList.remove('hide-labels');
+    } else {
+        document.body.classList.add('hide-labels');
+    }
+});
+
+// ===== THEME TOGGLE =====
+// Until a theme is picked with the button, the page follows the system's light/dark setting
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+let chosenTheme = null; // 'light' | 'dark' once picked
+
+function getSystemTheme() {
+    return darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme(theme) {
+    const isDark = theme === 'dark';
+    document.body.classList.toggle('dark-theme', isDark);
+    document.body.classList.toggle('light-theme', !isDark);
+    themeToggle.innerHTML = isDark ? '<i class="fas fa-sun"></i> Light Mode' : '<i class="fas fa-moon"></i> Dark Mode';
+    readVisualizerColors();
+}
+
+themeToggle.addEventListener('click', () => {
+    chosenTheme = document.body.classList.contains('dark-theme') ? 'light' : 'dark';
+    applyTheme(chosenTheme);
+    storeSettings();
+});
+
+darkSchemeQuery.addEventListener('change', () => {
+    if (!chosenTheme) applyTheme(getSystemTheme());
+});
+
+// ===== METRONOME (look-ahead scheduler on the AudioContext clock) =====
+const METRONOME_LEVEL = 0.35;
+const CLICK_LENGTH = 0.05; // seconds
+const CLICK_PITCHES = { strong: 1760, medium: 1320, weak: 990 };
+
+// Beat groups for the "Accent groups" setting: the first beat of each group gets a medium accent
+const METER_GROUPS = {
+    '2/4': [2], '3/4': [3], '4/4': [2, 2], '5/4': [3, 2],
+    '6/8': [3, 3], '7/8': [2, 2, 3], '12/8': [3, 3, 3, 3]
+};
+
+const metronome = {
+    enabled: false, // clicking continuously (the count-in also clicks while this is off)
+    bpm: 120, // beats of the signature's unit per minute
+    timeSignature: [4, 4],
+    accent: 'downbeat', // 'downbeat' | 'groups' | 'none'
+    countInBars: 0,
+    anchorTime: 0, // audioContext time of a downbeat - the bar grid the clicks follow
+    nextBeatTime: 0,
+    beatIndex: 0, // beats since anchorTime
+    stopTime: Infinity, // clicks stop here when only counting in
+    timerId: null
+};
+let countInTimer = null; // pending start of a recording after the count-in
+
+function getBeatLength() {
+    return 60 / metronome.bpm;
+}
+
+function getBarDuration() {
+    return getBarLength(metronome.bpm, metronome.timeSignature) / 1000;
+}
+
+function getAccentLevel(beatInBar) {
+    if (metronome.accent === 'none') return 'weak';
+    if (beatInBar === 0) return 'strong';
+    if (metronome.accent === 'groups') {
+        const groups = METER_GROUPS[metronome.timeSignature.join('/')] || [metronome.timeSignature[0]];
+        let groupStart = 0;
+        for (const size of groups) {
+            if (beatInBar === groupStart) return 'medium';
+            groupStart += size;
+        }
+    }
+    return 'weak';
+}
+
+// Short blip straight to the speakers - the click is not part of the piano sound or its effects
+function scheduleClick(time, level) {
+    const osc = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    osc.frequency.setValueAtTime(CLICK_PITCHES[level], time);
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(METRONOME_LEVEL * (level === 'weak' ? 0.6 : 1), time + 0.002);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + CLICK_LENGTH);
+    osc.connect(gain);
+    gain.connect(audioContext.destination);
+    osc.start(time);
+    osc.stop(time + CLICK_LENGTH + 0.01);
+    osc.onended = () => gain.disconnect();
+}
+
+// Beat counter follows the audio clock, like the key highlights during playback
+function showBeat(time, beatInBar, level) {
+    setTimeout(() => {
+        metronomeBeat.textContent = beatInBar + 1;
+        metronomeBeat.classList.toggle('accent', level !== 'weak');
+        metronomeBeat.classList.add('tick');
+        setTimeout(() => metronomeBeat.classList.remove('tick'), 100);
+    }, Math.max(0, (time - audioContext.currentTime) * 1000));
+}
+
+function metronomeTick() {
+    const horizon = audioContext.currentTime + SCHEDULE_AHEAD_TIME;
+    while (metronome.nextBeatTime < horizon) {
+        if (metronome.nextBeatTime >= metronome.stopTime - 0.001) {
+            stopMetronomeClock();
+            return;
+        }
+        const beatInBar = metronome.beatIndex % metronome.timeSignature[0];
+        const level = getAccentLevel(beatInBar);
+        scheduleClick(metronome.nextBeatTime, level);
+        showBeat(metronome.nextBeatTime, beatInBar, level);
+        metronome.beatIndex++;
+        metronome.nextBeatTime = metronome.anchorTime + metronome.beatIndex * getBeatLength();
+    }
+}
+
+function startMetronomeClock(startTime, stopTime = Infinity) {
+    if (audioContext.state === 'suspended') audioContext.resume();
+    clearInterval(metronome.timerId);
+    metronome.anchorTime = startTime;
+    metronome.nextBeatTime = startTime;
+    metronome.beatIndex = 0;
+    metronome.stopTime = stopTime;
+    metronome.timerId = setInterval(metronomeTick, SCHEDULER_INTERVAL);
+    metronomeTick();
+}
+
+function stopMetronomeClock() {
+    clearInterval(metronome.timerId);
+    metronome.timerId = null;
+    metronomeBeat.textContent = '';
+    metronomeBeat.classList.remove('accent', 'tick');
+}
+
+function isMetronomeClockRunning() {
+    return metronome.timerId !== null;
+}
+
+// The next bar line at or after `time` on the running metronome's grid
+function getNextDownbeat(time) {
+    const bars = Math.ceil((time - metronome.anchorTime) / getBarDuration() - 0.001);
+    return metronome.anchorTime + Math.max(0, bars) * getBarDuration();
+}
+
+// Tempo or meter changed while clicking: carry on from the next beat with the new grid
+function restartMetronomeGrid() {
+    if (!isMetronomeClockRunning() || countInTimer) return;
+    startMetronomeClock(Math.max(metronome.nextBeatTime, audioContext.currentTime + 0.05));
+}
+
+function updateMetronomeDisplay() {
+    metronomeBtn.classList.toggle('metronome-on', metronome.enabled);
+    metronomeBtn.setAttribute('aria-pressed', String(metronome.enabled));
+    metronomeBpmValue.textContent = metronome.bpm;
+}
+
+metronomeBtn.addEventListener('click', () => {
+    metronome.enabled = !metronome.enabled;
+    if (metronome.enabled && !isMetronomeClockRunning()) {
+        startMetronomeClock(getMetronomeStartTime());
+    } else if (!metronome.enabled && !countInTimer) {
+        stopMetronomeClock();
+    }
+    updateMetronomeDisplay();
+    console.log(`🥁 Metronome ${metronome.enabled ? 'on' : 'off'} (${metronome.bpm} BPM, ${metronome.timeSignature.join('/')})`);
+});
+
+metronomeBpmSlider.addEventListener('input', (event) => {
+    metronome.bpm = parseInt(event.target.value, 10);
+    updateMetronomeDisplay();
+    restartMetronomeGrid();
+});
+
+timeSignatureSelect.addEventListener('change', (event) => {
+    metronome.timeSignature = event.target.value.split('/').map(Number);
+    restartMetronomeGrid();
+});
+
+metronomeAccentSelect.addEventListener('change', (event) => {
+    metronome.accent = event.target.value;
+});
+
+countInSelect.addEventListener('change', (event) => {
+    metronome.countInBars = parseInt(event.target.value, 10);
+});
+
+updateMetronomeDisplay();
+
+// ===== RECORDING CONTROLS =====
+// startTime is the audioContext time the take begins; it is also a bar line of the metronome grid
+function startRecording(startTime) {
+    countInTimer = null;
+    isRecording = true;
+    recordedNotes = [];
+    heldRecordedNotes.clear();
+    // Date.now() time base for note timestamps, lined up with the audio clock
+    recordingStartTime = Date.now() - (audioContext.currentTime - startTime) * 1000;
+    recordedPedalEvents = sustainPedalDown ? [{ timestamp: 0, down: true }] : [];
+    recordedMeter = {
+        bpm: metronome.bpm,
+        timeSignature: metronome.timeSignature.slice(),
+        downbeat: isMetronomeClockRunning() ? Math.round((metronome.anchorTime - startTime) * 1000) : 0
+    };
+    refreshTransport();
+    recordBtn.classList.remove('counting-in');
+    recordBtn.classList.add('recording');
+    recordBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+    recordStatus.style.display = 'block';
+    notesCount.textContent = '0 notes';
+    console.log('🔴 Recording started...');
+}
+
+// Click the count-in bars, then start recording on the following downbeat
+function beginCountIn() {
+    let startTime;
+    if (isMetronomeClockRunning()) {
+        startTime = getNextDownbeat(audioContext.currentTime + 0.05) + metronome.countInBars * getBarDuration();
+    } else {
+        const firstBeat = audioContext.currentTime + 0.1;
+        startTime = firstBeat + metronome.countInBars * getBarDuration();
+        startMetronomeClock(firstBeat, startTime);
+    }
+
+    recordBtn.classList.add('counting-in');
+    recordBtn.innerHTML = '<i class="fas fa-hourglass-half"></i> Cancel';
+    countInTimer = setTimeout(() => {
+        // Keep clicking through the take only if the metronome is switched on
+        if (!metronome.enabled) metronome.stopTime = startTime;
+        startRecording(startTime);
+    }, (startTime - audioContext.currentTime) * 1000);
+    console.log(`🥁 Count-in: ${metronome.countInBars} bar${metronome.countInBars > 1 ? 's' : ''}...`);
+}
+
+function cancelCountIn() {
+    clearTimeout(countInTimer);
+    countInTimer = null;
+    if (!metronome.enabled) stopMetronomeClock();
+    recordBtn.classList.remove('counting-in');
+    recordBtn.innerHTML = '<i class="fas fa-circle"></i> Record';
+    console.log('⏹️ Count-in cancelled.');
+}
+
+function stopRecording() {
+    // Notes still held and a pedal still down end now
+    Array.from(heldRecordedNotes.keys()).forEach(finishRecordedNote);
+    if (sustainPedalDown) {
+        recordedPedalEvents.push({ timestamp: Date.now() - recordingStartTime, down: false });
+    }
+    isRecording = false;
+    recordBtn.classList.remove('recording');
+    recordBtn.innerHTML = '<i class="fas fa-circle"></i> Record';
+    recordStatus.style.display = 'none';
+    refreshTransport();
+    
+    if (recordedNotes.length > 0) {
+        clearBtn.disabled = false;
+        console.log(`✅ Recording stopped. ${recordedNotes.length} notes recorded.`);
+        autoSaveRecording(getNextTakeName());
+    } else {
+        console.log('⚠️ No notes recorded.');
+    }
+}
+
+recordBtn.addEventListener('click', () => {
+    if (isRecording) {
+        stopRecording();
+    } else if (countInTimer) {
+        cancelCountIn();
+    } else if (metronome.countInBars > 0) {
+        beginCountIn();
+    } else {
+        startRecording(audioContext.currentTime);
+    }
+});
+
+// ===== TRANSPORT CONTROLS =====
+const transportLabels = {
+    stopped: '<i class="fas fa-stop-circle"></i> Stopped',
+    playing: '<i class="fas fa-play-circle"></i> Playing',
+    paused: '<i class="fas fa-pause-circle"></i> Paused'
+};
+let isSeeking = false; // seek slider is being dragged
+
+function updateTransportDisplay() {
+    const position = getTransportPosition();
+    const hasTake = transport.notes.length > 0;
+
+    transportState.innerHTML = transportLabels[transport.state];
+    transportState.dataset.state = transport.state;
+    transportTime.textContent = `${formatTime(position)} / ${formatTime(transport.length)}`;
+
+    seekSlider.max = transport.length;
+    seekSlider.disabled = !hasTake;
+    if (!isSeeking) seekSlider.value = position;
+
+    if (transport.state === 'playing') {
+        playBtn.innerHTML = '<i class="fas fa-pause"></i> Pause';
+    } else if (transport.state === 'paused') {
+        playBtn.innerHTML = '<i class="fas fa-play"></i> Resume';
+    } else {
+        playBtn.innerHTML = '<i class="fas fa-play"></i> Play';
+    }
+    playBtn.disabled = !hasTake || isRecording;
+    midiExportBtn.disabled = !hasTake || isRecording;
+    wavExportBtn.disabled = !hasTake || isRecording || isRenderingWav;
+    stopBtn.disabled = transport.state === 'stopped';
+    rollEditBtn.disabled = !hasTake || isRecording;
+    shareBtn.disabled = !hasTake || isRecording;
+    updateRollPlayhead();
+}
+
+playBtn.addEventListener('click', () => {
+    if (transport.state === 'playing') {
+        pausePlayback();
+    } else {
+        startPlayback();
+    }
+});
+
+stopBtn.addEventListener('click', () => {
+    stopPlayback();
+    console.log('⏹️ Playback stopped.');
+});
+
+seekSlider.addEventListener('input', (event) => {
+    isSeeking = true;
+    transportTime.textContent = `${formatTime(Number(event.target.value))} / ${formatTime(transport.length)}`;
+});
+
+seekSlider.addEventListener('change', (event) => {
+    isSeeking = false;
+    seekPlayback(Number(event.target.value));
+});
+
+tempoSlider.addEventListener('input', (event) => {
+    setPlaybackTempo(event.target.value / 100);
+    tempoValue.textContent = event.target.value + '%';
+});
+
+updateTransportDisplay();
+
+clearBtn.addEventListener('click', () => {
+    if (confirm('Clear recorded notes?')) {
+        recordedNotes = [];
+        recordedPedalEvents = [];
+        currentTakeId = null;
+        refreshTransport();
+        renderTakeList();
+        clearBtn.disabled = true;
+        notesCount.textContent = '0 notes';
+        console.log('🗑️ Recording cleared.');
+    }
+});
+
+// ===== DOWNLOAD HELPER =====
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Name for exported files: the loaded library take, if any
+function getExportFileName() {
+    const take = savedTakes.find(saved => saved.id === currentTakeId);
+    return take ? safeFileName(take.name) : 'piano-recording';
+}
+
+// ===== MIDI FILE EXPORT / IMPORT =====
+const MIDI_EXPORT_VELOCITY = 100; // used for notes recorded without a velocity
+
+midiExportBtn.addEventListener('click', () => {
+    const takeNotes = getTakeNotes();
+    if (takeNotes.length === 0) return;
+
+    // Bar 1 of the file is the bar the first note falls in; MIDI tempo counts quarter notes
+    const barOffset = getTakeBarOffset();
+    const [beats, unit] = recordedMeter.timeSignature;
+    const midiNotes = takeNotes.map(note => ({
+        midi: noteNameToMidi(note.note),
+        start: note.start + barOffset,
+        duration: note.duration == null ? FALLBACK_NOTE_LENGTH : note.duration,
+        velocity: note.velocity == null ? MIDI_EXPORT_VELOCITY : Math.round(note.velocity * 127)
+    }));
+    const bytes = writeMidiFile(midiNotes, {
+        format: 1,
+        trackName: 'Online Piano',
+        bpm: recordedMeter.bpm * 4 / unit,
+        timeSignature: [beats, unit],
+        pedalEvents: getTakePedalEvents().map(event => ({ ...event, start: event.start + barOffset }))
+    });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${getExportFileName()}.mid`);
+    console.log(`💾 Exported ${midiNotes.length} notes to MIDI.`);
+});
+
+midiImportBtn.addEventListener('click', () => {
+    if (isRecording) {
+        alert('Stop recording before importing a MIDI file.');
+        return;
+    }
+    midiFileInput.click();
+});
+
+midiFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    try {
+        const midi = parseMidiFile(await file.arrayBuffer());
+        if (midi.notes.length === 0) throw new Error('the file contains no notes');
+        importMidiNotes(midi.notes, midi.pedalEvents, file.name, midi);
+    } catch (error) {
+        alert(`Could not import ${file.name}: ${error.message}`);
+        console.error('❌ MIDI import failed:', error);
+    }
+});
+
+// Shift notes by octaves so they land on the keyboard: first the whole part (keeps the
+// voicing), then any single note still outside the range is folded in on its own
+function fitNotesToKeyboard(midiNotes) {
+    const lowest = noteNameToMidi(allKeys[0].note);
+    const highest = noteNameToMidi(allKeys[allKeys.length - 1].note);
+    const countOutside = shift => midiNotes.filter(n => n.midi + shift < lowest || n.midi + shift > highest).length;
+
+    let shift = 0;
+    for (let octaves = 1; octaves <= 8; octaves++) {
+        [octaves * 12, -octaves * 12].forEach(candidate => {
+            if (countOutside(candidate) < countOutside(shift)) shift = candidate;
+        });
+    }
+
+    let folded = 0;
+    const notes = midiNotes.map(note => {
+        let midi = note.midi + shift;
+        if (midi < lowest || midi > highest) {
+            folded++;
+            while (midi < lowest) midi += 12;
+            while (midi > highest) midi -= 12;
+        }
+        return { ...note, midi };
+    });
+
+    return { notes, shift, folded };
+}
+
+// timing: { bpm (quarter notes), timeSignature } from the file; the file starts on a bar line
+function importMidiNotes(midiNotes, pedalEvents, fileName, timing = {}) {
+    const { notes, shift, folded } = fitNotesToKeyboard(midiNotes);
+    const origin = notes[0].start;
+    // The file's meter is kept only if the bar maths can use it (a 0/4 bar has no length)
+    const timeSignature = isTimeSignature(timing.timeSignature) ? timing.timeSignature : DEFAULT_TIME_SIGNATURE.slice();
+    recordedMeter = {
+        bpm: Math.round((timing.bpm || DEFAULT_TAKE_BPM) * timeSignature[1] / 4 * 100) / 100,
+        timeSignature,
+        downbeat: -Math.round(origin)
+    };
+
+    recordedNotes = notes.map(note => {
+        const noteName = midiToNoteName(note.midi);
+        return {
+            note: noteName,
+            frequency: allKeys.find(key => key.note === noteName).frequency,
+            timestamp: Math.round(note.start - origin),
+            duration: Math.round(note.duration),
+            velocity: note.velocity / 127
+        };
+    });
+    recordedPedalEvents = pedalEvents.map(event => ({
+        timestamp: Math.max(0, Math.round(event.start - origin)),
+        down: event.down
+    }));
+    refreshTransport();
+    clearBtn.disabled = false;
+    console.log(`📂 Imported ${recordedNotes.length} notes from ${fileName}`);
+    autoSaveRecording(fileName.replace(/\.midi?$/i, ''));
+
+    const range = `${allKeys[0].note}-${allKeys[allKeys.length - 1].note}`;
+    const report = [];
+    if (shift !== 0) {
+        const octaves = Math.abs(shift / 12);
+        report.push(`The part was moved ${shift > 0 ? 'up' : 'down'} ${octaves} octave${octaves > 1 ? 's' : ''} to fit ${range}.`);
+    }
+    if (folded > 0) {
+        report.push(`${folded} note${folded > 1 ? 's were' : ' was'} outside ${range} and moved by octaves into range.`);
+    }
+    if (report.length > 0) {
+        alert(`Imported ${recordedNotes.length} notes from ${fileName}.\n${report.join('\n')}`);
+        console.warn(`⚠️ ${report.join(' ')}`);
+    }
+}
+
+// ===== WAV EXPORT (offline rendering through the same voice graph) =====
+const OfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+const WAV_SAMPLE_RATE = 44100;
+const WAV_LEAD_IN = 0.05; // seconds before the first note
+const WAV_TAIL = 0.25; // seconds kept after the last release
+let isRenderingWav = false;
+
+function renderTakeToAudioBuffer() {
+    const notes = applySustainPedal(getTakeNotes(), getTakePedalEvents());
+    const effects = getCurrentPreset().effects;
+
+    // Same stop times playbackNote uses, plus the release tail
+    const fallbackLength = pianoSettings.attack + pianoSettings.decay + 0.5 + 0.35;
+    const lastSound = notes.reduce((end, note) => Math.max(end, note.duration == null
+        ? note.start / 1000 + fallbackLength
+        : note.soundEnd / 1000 + pianoSettings.release), 0);
+    const frameCount = Math.ceil((WAV_LEAD_IN + lastSound + getEffectsTail(effects) + WAV_TAIL) * WAV_SAMPLE_RATE);
+
+    // Same effects chain as live playback, built on the offline context
+    const offline = new OfflineAudioContext(2, frameCount, WAV_SAMPLE_RATE);
+    const bus = createEffectsBus(offline, effects);
+    notes.forEach(note => {
+        const duration = note.duration == null ? null : (note.soundEnd - note.start) / 1000;
+        playbackNote(getNoteFrequency(note.note), note.note, WAV_LEAD_IN + note.start / 1000, duration, note.velocity, { context: offline, destination: bus.input });
+    });
+
+    return offline.startRendering();
+}
+
+wavExportBtn.addEventListener('click', async () => {
+    if (transport.notes.length === 0 || isRenderingWav) return;
+
+    isRenderingWav = true;
+    updateTransportDisplay();
+    wavExportBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Rendering...';
+    console.log('🎚️ Rendering take to WAV...');
+
+    try {
+        const rendered = await renderTakeToAudioBuffer();
+        const channels = Array.from({ length: rendered.numberOfChannels }, (_, i) => rendered.getChannelData(i));
+        const bytes = encodeWav(channels, rendered.sampleRate);
+        downloadBlob(new Blob([bytes], { type: 'audio/wav' }), `${getExportFileName()}.wav`);
+        console.log(`💾 Exported ${rendered.duration.toFixed(1)}s WAV (${getCurrentPreset().name}).`);
+    } catch (error) {
+        alert(`Could not render the WAV file: ${error.message}`);
+        console.error('❌ WAV export failed:', error);
+    } finally {
+        isRenderingWav = false;
+        wavExportBtn.innerHTML = '<i class="fas fa-file-audio"></i> Export WAV';
+        updateTransportDisplay();
+    }
+});
+
+// ===== LIVE AUDIO RECORDING (master bus output through MediaRecorder) =====
+// Captures the performance as heard - live playing, playback, the looper and any preset or
+// effect changes on the way. The metronome click goes straight to the speakers and is left out.
+const AUDIO_CAPTURE_FORMATS = [
+    { mimeType: 'audio/webm;codecs=opus', label: 'WebM (Opus)', extension: 'webm' },
+    { mimeType: 'audio/ogg;codecs=opus', label: 'Ogg (Opus)', extension: 'ogg' },
+    { mimeType: 'audio/mp4', label: 'MP4 (AAC)', extension: 'm4a' },
+    { mimeType: 'audio/webm', label: 'WebM', extension: 'webm' }
+];
+const AUDIO_CAPTURE_TIMESLICE = 1000; // ms of audio per recorded chunk
+const LEVEL_METER_INTERVAL = 50; // ms between meter updates
+const LEVEL_METER_FLOOR = -60; // dB shown as an empty meter
+
+const audioCapture = {
+    recorder: null,
+    destination: null, // MediaStreamAudioDestinationNode fed by the master bus
+    levelAnalyser: null,
+    levelData: null,
+    chunks: [],
+    startedAt: 0, // Date.now() when the recording began
+    duration: 0, // ms of the finished recording
+    timerId: null,
+    blob: null, // finished recording waiting in the preview
+    previewUrl: null,
+    downloaded: false
+};
+
+function isAudioCaptureSupported() {
+    return typeof MediaRecorder !== 'undefined' && typeof audioContext.createMediaStreamDestination === 'function';
+}
+
+function populateCaptureFormats() {
+    if (!isAudioCaptureSupported()) {
+        audioRecordBtn.disabled = true;
+        audioRecordBtn.title = 'This browser cannot record audio';
+        audioFormatSelect.disabled = true;
+        return;
+    }
+    const formats = AUDIO_CAPTURE_FORMATS.filter(format => !MediaRecorder.isTypeSupported || MediaRecorder.isTypeSupported(format.mimeType));
+    formats.forEach(format => audioFormatSelect.add(new Option(format.label, format.mimeType)));
+    // None of ours is known: let the browser pick
+    if (formats.length === 0) audioFormatSelect.add(new Option('Browser default', ''));
+}
+
+function getCaptureExtension(mimeType) {
+    const format = AUDIO_CAPTURE_FORMATS.find(candidate => mimeType.startsWith(candidate.mimeType.split(';')[0]));
+    return format ? format.extension : 'webm';
+}
+
+// Made on first use and left connected - an idle stream destination costs next to nothing
+function connectCaptureNodes() {
+    if (audioCapture.destination) return;
+    audioCapture.destination = audioContext.createMediaStreamDestination();
+    audioCapture.levelAnalyser = audioContext.createAnalyser();
+    audioCapture.levelAnalyser.fftSize = 1024;
+    audioCapture.levelData = new Float32Array(audioCapture.levelAnalyser.fftSize);
+    masterBus.output.connect(audioCapture.destination);
+    masterBus.output.connect(audioCapture.levelAnalyser);
+}
+
+function startAudioCapture() {
+    if (audioCapture.blob && !audioCapture.downloaded && !confirm('Replace the audio recording you have not downloaded?')) return;
+    if (audioContext.state === 'suspended') audioContext.resume();
+    connectCaptureNodes();
+
+    const mimeType = audioFormatSelect.value;
+    let recorder;
+    try {
+        recorder = new MediaRecorder(audioCapture.destination.stream, mimeType ? { mimeType } : {});
+    } catch (error) {
+        alert(`Could not start the audio recording: ${error.message}`);
+        console.error('❌ MediaRecorder failed:', error);
+        return;
+    }
+
+    discardAudioCapture();
+    audioCapture.chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data && event.data.size > 0) audioCapture.chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', finishAudioCapture);
+    recorder.start(AUDIO_CAPTURE_TIMESLICE);
+
+    audioCapture.recorder = recorder;
+    audioCapture.startedAt = Date.now();
+    audioCapture.timerId = setInterval(updateAudioCaptureMeter, LEVEL_METER_INTERVAL);
+    updateAudioCaptureControls();
+    console.log(`🎙️ Recording audio (${recorder.mimeType || mimeType || 'browser default format'})...`);
+}
+
+// The recorder hands over its last chunk and then fires 'stop'
+function stopAudioCapture() {
+    if (!audioCapture.recorder || audioCapture.recorder.state === 'inactive') return;
+    audioCapture.duration = Date.now() - audioCapture.startedAt;
+    audioCapture.recorder.stop();
+}
+
+function finishAudioCapture() {
+    const recorder = audioCapture.recorder;
+    clearInterval(audioCapture.timerId);
+    audioCapture.timerId = null;
+    audioCapture.recorder = null;
+
+    audioCapture.blob = new Blob(audioCapture.chunks, { type: recorder.mimeType || audioFormatSelect.value || 'audio/webm' });
+    audioCapture.chunks = [];
+    audioCapture.downloaded = false;
+    audioCapture.previewUrl = URL.createObjectURL(audioCapture.blob);
+    audioPreview.src = audioCapture.previewUrl;
+    audioPreviewPanel.hidden = false;
+    audioLevelMeter.value = 0;
+    updateAudioCaptureControls();
+    console.log(`✅ Audio recorded: ${formatTime(audioCapture.duration)}, ${Math.round(audioCapture.blob.size / 1024)} KB`);
+}
+
+function discardAudioCapture() {
+    if (audioCapture.previewUrl) URL.revokeObjectURL(audioCapture.previewUrl);
+    audioCapture.previewUrl = null;
+    audioCapture.blob = null;
+    audioPreview.removeAttribute('src');
+    audioPreviewPanel.hidden = true;
+}
+
+// RMS level of the output in dB, shown from LEVEL_METER_FLOOR up to 0 dB
+function updateAudioCaptureMeter() {
+    audioCapture.levelAnalyser.getFloatTimeDomainData(audioCapture.levelData);
+    const sum = audioCapture.levelData.reduce((total, sample) => total + sample * sample, 0);
+    const rms = Math.sqrt(sum / audioCapture.levelData.length);
+    const decibels = rms > 0 ? 20 * Math.log10(rms) : LEVEL_METER_FLOOR;
+    audioLevelMeter.value = Math.max(0, Math.min(1, 1 - decibels / LEVEL_METER_FLOOR));
+    audioRecordTime.textContent = formatTime(Date.now() - audioCapture.startedAt);
+}
+
+function updateAudioCaptureControls() {
+    const recording = Boolean(audioCapture.recorder);
+    audioRecordBtn.classList.toggle('recording', recording);
+    audioRecordBtn.innerHTML = recording ? '<i class="fas fa-stop"></i> Stop Audio' : '<i class="fas fa-microphone"></i> Record Audio';
+    audioFormatSelect.disabled = recording;
+    if (!recording) audioRecordTime.textContent = formatTime(audioCapture.blob ? audioCapture.duration : 0);
+}
+
+audioRecordBtn.addEventListener('click', () => {
+    if (audioCapture.recorder) {
+        stopAudioCapture();
+    } else {
+        startAudioCapture();
+    }
+});
+
+audioDownloadBtn.addEventListener('click', () => {
+    if (!audioCapture.blob) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(audioCapture.blob, `piano-performance-${stamp}.${getCaptureExtension(audioCapture.blob.type)}`);
+    audioCapture.downloaded = true;
+    console.log('💾 Audio recording downloaded.');
+});
+
+audioDiscardBtn.addEventListener('click', () => {
+    if (!audioCapture.downloaded && !confirm('Discard this audio recording?')) return;
+    discardAudioCapture();
+    updateAudioCaptureControls();
+});
+
+populateCaptureFormats();
+
+// ===== RECORDING LIBRARY (saved takes) =====
+let savedTakes = [];
+let currentTakeId = null; // library take currently loaded as the recording
+
+async function refreshTakeLibrary() {
+    try {
+        savedTakes = await loadAllTakes();
+    } catch (error) {
+        savedTakes = [];
+        console.error('❌ Could not read the recording library:', error);
+    }
+    renderTakeList();
+}
+
+function getTakeLength(take) {
+    return take.notes.reduce((end, note) => Math.max(end, note.time + (note.duration || 0)), 0);
+}
+
+function renderTakeList() {
+    takeList.innerHTML = '';
+    takeLibraryEmpty.style.display = savedTakes.length ? 'none' : 'block';
+
+    savedTakes.forEach(take => {
+        const item = document.createElement('li');
+        item.className = 'take-item';
+        item.classList.toggle('current', take.id === currentTakeId);
+
+        const info = document.createElement('div');
+        info.className = 'take-info';
+        const name = document.createElement('strong');
+        name.className = 'take-name';
+        name.textContent = take.name;
+        const meta = document.createElement('span');
+        meta.className = 'take-meta';
+        const presetName = soundPresets[take.preset] ? soundPresets[take.preset].name : take.preset;
+        meta.textContent = [
+            new Date(take.createdAt).toLocaleString(),
+            presetName,
+            `${take.bpm} BPM ${take.timeSignature.join('/')}`,
+            `${take.notes.length} notes`,
+            formatTime(getTakeLength(take))
+        ].join(' • ');
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'take-actions';
+        [
+            ['load', 'fa-folder-open', 'Load'],
+            ['rename', 'fa-pen', 'Rename'],
+            ['duplicate', 'fa-copy', 'Duplicate'],
+            ['export', 'fa-download', 'Export .json'],
+            ['delete', 'fa-trash', 'Delete']
+        ].forEach(([action, icon, label]) => {
+            const button = document.createElement('button');
+            button.className = 'take-action-btn';
+            button.dataset.action = action;
+            button.dataset.id = take.id;
+            button.title = label;
+            button.setAttribute('aria-label', `${label} ${take.name}`);
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            actions.appendChild(button);
+        });
+
+        item.append(info, actions);
+        takeList.appendChild(item);
+    });
+    populateLessonSongs();
+}
+
+// "Take N" with the first number not used yet
+function getNextTakeName() {
+    let number = 1;
+    while (savedTakes.some(take => take.name === `Take ${number}`)) number++;
+    return `Take ${number}`;
+}
+
+async function autoSaveRecording(name) {
+    const take = takeFromRecording(recordedNotes, recordedPedalEvents, { name, preset: currentPreset, meter: recordedMeter });
+    try {
+        await storeTake(take);
+        currentTakeId = take.id;
+        await refreshTakeLibrary();
+        console.log(`💾 Saved "${take.name}" to the library.`);
+    } catch (error) {
+        alert(`Could not save the recording: ${error.message}`);
+        console.error('❌ Saving take failed:', error);
+    }
+}
+
+function loadTake(take) {
+    if (isRecording) {
+        alert('Stop recording before loading a take.');
+        return;
+    }
+
+    const recording = recordingFromTake(take);
+    recordedNotes = recording.notes;
+    recordedPedalEvents = recording.pedalEvents;
+    recordedMeter = recording.meter;
+    if (soundPresets[take.preset]) {
+        selectPreset(take.preset);
+    }
+    currentTakeId = take.id;
+    refreshTransport();
+    renderTakeList();
+    clearBtn.disabled = recordedNotes.length === 0;
+    notesCount.textContent = `${recordedNotes.length} notes`;
+    console.log(`📂 Loaded "${take.name}" (${recordedNotes.length} notes).`);
+}
+
+function safeFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'take';
+}
+
+async function handleTakeAction(action, take) {
+    const now = new Date().toISOString();
+
+    if (action === 'load') {
+        loadTake(take);
+    } else if (action === 'rename') {
+        const name = prompt('Rename take:', take.name);
+        if (name === null || !name.trim()) return;
+        await storeTake({ ...take, name: name.trim(), updatedAt: now });
+        await refreshTakeLibrary();
+    } else if (action === 'duplicate') {
+        await storeTake({ ...take, id: createTakeId(), name: `${take.name} (copy)`, createdAt: now, updatedAt: now });
+        await refreshTakeLibrary();
+    } else if (action === 'export') {
+        downloadBlob(new Blob([takeToJson(take)], { type: 'application/json' }), `${safeFileName(take.name)}.json`);
+    } else if (action === 'delete') {
+        if (!confirm(`Delete "${take.name}" from the library?`)) return;
+        await removeTake(take.id);
+        if (currentTakeId === take.id) currentTakeId = null;
+        await refreshTakeLibrary();
+    }
+}
+
+takeList.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const take = savedTakes.find(saved => saved.id === button.dataset.id);
+    if (!take) return;
+
+    try {
+        await handleTakeAction(button.dataset.action, take);
+    } catch (error) {
+        alert(`Could not ${button.dataset.action} "${take.name}": ${error.message}`);
+        console.error(`❌ Take ${button.dataset.action} failed:`, error);
+    }
+});
+
+takeImportBtn.addEventListener('click', () => {
+    takeFileInput.click();
+});
+
+takeFileInput.addEventListener('change', async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    const problems = [];
+    let imported = 0;
+
+    for (const file of files) {
+        try {
+            const takes = parseTakeJson(await file.text());
+            for (const take of takes) {
+                // Never overwrite a take that is already in the library
+                const id = savedTakes.some(saved => saved.id === take.id) ? createTakeId() : take.id;
+                await storeTake({ ...take, id });
+                imported++;
+            }
+        } catch (error) {
+            problems.push(`${file.name}: ${error.message}`);
+        }
+    }
+
+    await refreshTakeLibrary();
+    if (imported > 0) console.log(`📥 Imported ${imported} take(s) into the library.`);
+    if (problems.length > 0) {
+        alert(`Some files could not be imported:\n${problems.join('\n')}`);
+    }
+});
+
+refreshTakeLibrary();
+
+// ===== SHARE LINKS (the take in the URL hash; packing in share-link.js) =====
+const SHARE_CONFIRM_TIME = 2000; // ms the button says the link was copied
+
+function getShareUrl(hash) {
+    return `${location.href.split('#')[0]}#${hash}`;
+}
+
+shareBtn.addEventListener('click', async () => {
+    const loaded = savedTakes.find(take => take.id === currentTakeId);
+    const take = takeFromRecording(recordedNotes, recordedPedalEvents, {
+        name: loaded ? loaded.name : 'Shared take',
+        preset: currentPreset,
+        meter: recordedMeter
+    });
+
+    let hash;
+    try {
+        hash = await encodeShareLink(take, isBuiltInPreset(currentPreset) ? null : soundPresets[currentPreset]);
+    } catch (error) {
+        alert(`Could not make a share link: ${error.message}`);
+        console.error('❌ Share link failed:', error);
+        return;
+    }
+    if (getSharedPayload(hash).length > MAX_SHARE_LINK_LENGTH) {
+        alert(`⚠️ This take is too long to share as a link (${recordedNotes.length} notes). Export it as .json or .mid instead.`);
+        return;
+    }
+
+    const url = getShareUrl(hash);
+    try {
+        await navigator.clipboard.writeText(url);
+        shareBtn.innerHTML = '<i class="fas fa-check"></i> Link copied';
+        setTimeout(() => {
+            shareBtn.innerHTML = '<i class="fas fa-share-alt"></i> Share';
+        }, SHARE_CONFIRM_TIME);
+    } catch (error) {
+        // No clipboard access (e.g. an insecure page): let the user copy it
+        prompt('Copy this link to share the take:', url);
+    }
+    console.log(`🔗 Share link ready (${url.length} characters, ${recordedNotes.length} notes).`);
+});
+
+// Open a take from the address bar - on page load and when a link is pasted into this tab
+async function openShareLink() {
+    if (!getSharedPayload(location.hash)) return;
+
+    try {
+        const { take, preset } = await decodeShareLink(location.hash);
+        if (preset && !soundPresets[preset.id]) {
+            soundPresets[preset.id] = preset;
+            storeCustomPresets();
+            populatePresetSelector();
+        }
+        loadTake(take);
+        console.log(`🔗 Opened shared take "${take.name}".`);
+    } catch (error) {
+        alert(`⚠️ Could not open the shared take.\n${error.message}`);
+        console.error('❌ Opening share link failed:', error);
+    }
+}
+
+window.addEventListener('hashchange', openShareLink);
+openShareLink();
+
+// ===== PIANO ROLL EDITOR (edits recordedNotes in place; grid maths in piano-roll.js) =====
+const ROLL_ROW_HEIGHT = 14; // px, same as --roll-row-height
+const ROLL_MIN_NOTE_LENGTH = 20; // ms
+const ROLL_EXTRA_BARS = 2; // empty bars after the last note, room to add more
+const ROLL_DRAG_THRESHOLD = 3; // px before a click turns into a drag
+
+const roll = {
+    history: createEditHistory(),
+    selection: new Set(), // indices into recordedNotes
+    noteElements: [], // .roll-note element for each recorded note
+    division: '1/16',
+    snap: true,
+    strength: 1, // quantize strength, 0-1
+    zoom: 100, // px per second
+    viewStart: 0, // recording time at the left edge (a bar line)
+    lowestMidi: 0,
+    highestMidi: 0, // pitch of the top row
+    drag: null,
+    dirty: false // edited since the take was recorded, loaded or saved
+};
+
+function timeToRollX(time) {
+    return (time - roll.viewStart) * roll.zoom / 1000;
+}
+
+function rollXToTime(x) {
+    return roll.viewStart + x * 1000 / roll.zoom;
+}
+
+function getRollGridLength() {
+    return getGridLength(recordedMeter, roll.division);
+}
+
+// Snap to the nearest grid line (or the grid cell a point falls in)
+function snapRollTime(time, toCellStart = false) {
+    if (!roll.snap) return time;
+    if (!toCellStart) return snapTime(time, getRollGridLength(), recordedMeter.downbeat);
+    const gridLength = getRollGridLength();
+    return recordedMeter.downbeat + Math.floor((time - recordedMeter.downbeat) / gridLength) * gridLength;
+}
+
+function getRecordedNoteLength(note) {
+    return note.duration == null ? FALLBACK_NOTE_LENGTH : note.duration;
+}
+
+function positionRollNote(element, note) {
+    const length = getRecordedNoteLength(note);
+    element.style.left = `${timeToRollX(note.timestamp)}px`;
+    element.style.top = `${(roll.highestMidi - noteNameToMidi(note.note)) * ROLL_ROW_HEIGHT}px`;
+    element.style.width = `${length * roll.zoom / 1000}px`;
+    element.style.opacity = 0.4 + 0.6 * (note.velocity == null ? DEFAULT_VELOCITY : note.velocity);
+    element.title = `${note.note} • ${Math.round(length)} ms`;
+}
+
+function createRollNote(note, index) {
+    const element = document.createElement('div');
+    element.className = 'roll-note';
+    element.dataset.index = index;
+    element.classList.toggle('selected', roll.selection.has(index));
+    const handle = document.createElement('div');
+    handle.className = 'roll-note-handle';
+    element.appendChild(handle);
+    positionRollNote(element, note);
+    return element;
+}
+
+// Rows cover the keyboard range plus any notes outside it; columns run from the bar
+// before the first note to a couple of bars after the last
+function renderPianoRoll() {
+    if (pianoRollPanel.hidden) return;
+
+    const pitches = recordedNotes.map(note => noteNameToMidi(note.note));
+    roll.lowestMidi = pitches.reduce((low, midi) => Math.min(low, midi), allKeys[0].midi);
+    roll.highestMidi = pitches.reduce((high, midi) => Math.max(high, midi), allKeys[allKeys.length - 1].midi);
+
+    const origin = recordedNotes.length ? getTakeOrigin() : recordedMeter.downbeat;
+    const end = recordedNotes.reduce((latest, note) => Math.max(latest, note.timestamp + getRecordedNoteLength(note)), origin);
+    const barLength = getBarLength(recordedMeter.bpm, recordedMeter.timeSignature);
+    roll.viewStart = getBarStart(origin, recordedMeter);
+    const viewEnd = getBarStart(end, recordedMeter) + (ROLL_EXTRA_BARS + 1) * barLength;
+
+    const toPixels = ms => `${ms * roll.zoom / 1000}px`;
+    rollGridArea.style.width = `${timeToRollX(viewEnd)}px`;
+    rollGridArea.style.height = `${(roll.highestMidi - roll.lowestMidi + 1) * ROLL_ROW_HEIGHT}px`;
+    rollGridArea.style.setProperty('--roll-bar-width', toPixels(barLength));
+    rollGridArea.style.setProperty('--roll-beat-width', toPixels(60000 / recordedMeter.bpm));
+    rollGridArea.style.setProperty('--roll-grid-width', toPixels(getRollGridLength()));
+
+    rollKeys.innerHTML = '';
+    rollGridArea.querySelectorAll('.roll-row, .roll-note').forEach(element => element.remove());
+    for (let midi = roll.highestMidi; midi >= roll.lowestMidi; midi--) {
+        const noteName = midiToNoteName(midi);
+        const isBlack = noteName.includes('#');
+        const label = document.createElement('div');
+        label.className = 'roll-key-label';
+        label.classList.toggle('black', isBlack);
+        label.classList.toggle('c-note', /^C-?\d/.test(noteName));
+        label.textContent = noteName;
+        rollKeys.appendChild(label);
+
+        if (isBlack) {
+            const row = document.createElement('div');
+            row.className = 'roll-row';
+            row.style.top = `${(roll.highestMidi - midi) * ROLL_ROW_HEIGHT}px`;
+            rollGridArea.appendChild(row);
+        }
+    }
+
+    roll.noteElements = recordedNotes.map(createRollNote);
+    rollGridArea.append(...roll.noteElements);
+    updateRollControls();
+    updateRollPlayhead();
+}
+
+// Nothing can be edited while a new take is being recorded
+function updateRollControls() {
+    const count = roll.selection.size;
+    rollQuantizeBtn.innerHTML = `<i class="fas fa-magnet"></i> Quantize ${count ? `${count} selected` : 'all'}`;
+    rollQuantizeBtn.disabled = isRecording || recordedNotes.length === 0;
+    rollDeleteBtn.disabled = isRecording || count === 0;
+    rollUndoBtn.disabled = isRecording || !roll.history.canUndo();
+    rollRedoBtn.disabled = isRecording || !roll.history.canRedo();
+    rollSaveBtn.disabled = isRecording || !roll.dirty || recordedNotes.length === 0;
+}
+
+function updateRollPlayhead() {
+    if (pianoRollPanel.hidden) return;
+    const visible = transport.state !== 'stopped' && recordedNotes.length > 0;
+    rollPlayhead.classList.toggle('visible', visible);
+    if (visible) {
+        rollPlayhead.style.left = `${timeToRollX(transport.origin + getTransportPosition())}px`;
+    }
+}
+
+function setRollSelection(indices) {
+    roll.selection = new Set(indices);
+    roll.noteElements.forEach((element, index) => element.classList.toggle('selected', roll.selection.has(index)));
+    updateRollControls();
+}
+
+// A new take replaced the recording: start with a clean history
+function resetPianoRoll() {
+    roll.history.clear();
+    roll.selection.clear();
+    roll.drag = null;
+    roll.dirty = false;
+    renderPianoRoll();
+}
+
+// Everything that follows a change to the notes: playback, counters and the roll itself
+function afterRollChange() {
+    roll.dirty = true;
+    updateTransportNotes();
+    clearBtn.disabled = recordedNotes.length === 0;
+    notesCount.textContent = `${recordedNotes.length} notes`;
+    renderPianoRoll();
+}
+
+// `before` is what undo goes back to (a drag edits recordedNotes while it moves)
+function applyRollEdit(notes, before = recordedNotes) {
+    roll.history.record(before);
+    recordedNotes = notes;
+    afterRollChange();
+}
+
+function undoRollEdit() {
+    const notes = roll.history.undo(recordedNotes);
+    if (!notes) return;
+    recordedNotes = notes;
+    roll.selection.clear();
+    afterRollChange();
+    console.log('↩️ Undo');
+}
+
+function redoRollEdit() {
+    const notes = roll.history.redo(recordedNotes);
+    if (!notes) return;
+    recordedNotes = notes;
+    roll.selection.clear();
+    afterRollChange();
+    console.log('↪️ Redo');
+}
+
+function deleteSelectedRollNotes() {
+    if (roll.selection.size === 0) return;
+    const selected = roll.selection;
+    roll.selection = new Set();
+    applyRollEdit(recordedNotes.filter((note, index) => !selected.has(index)));
+    console.log(`🗑️ Deleted ${selected.size} note${selected.size > 1 ? 's' : ''}.`);
+}
+
+function quantizeRollNotes() {
+    if (recordedNotes.length === 0) return;
+    applyRollEdit(quantizeNotes(recordedNotes, recordedMeter, roll.division, roll.strength, roll.selection));
+    console.log(`🧲 Quantized ${roll.selection.size || 'all'} notes to ${roll.division} at ${Math.round(roll.strength * 100)}%.`);
+}
+
+function auditionRollNote(note) {
+    if (audioContext.state === 'suspended') audioContext.resume();
+    playbackNote(getNoteFrequency(note.note), note.note, audioContext.currentTime, 0.3, note.velocity == null ? DEFAULT_VELOCITY : note.velocity);
+}
+
+// Save the edited notes over the loaded library take (or as a new take)
+async function saveRollEdits() {
+    const take = savedTakes.find(saved => saved.id === currentTakeId);
+    if (!take) {
+        await autoSaveRecording(getNextTakeName());
+    } else {
+        const edited = takeFromRecording(recordedNotes, recordedPedalEvents, {
+            id: take.id,
+            name: take.name,
+            createdAt: take.createdAt,
+            preset: take.preset,
+            meter: recordedMeter
+        });
+        try {
+            await storeTake(edited);
+            await refreshTakeLibrary();
+            console.log(`💾 Saved edits to "${take.name}".`);
+        } catch (error) {
+            alert(`Could not save the edits: ${error.message}`);
+            console.error('❌ Saving edits failed:', error);
+            return;
+        }
+    }
+    roll.dirty = false;
+    updateRollControls();
+}
+
+function openPianoRoll() {
+    pianoRollPanel.hidden = false;
+    roll.selection.clear();
+    renderPianoRoll();
+    // Scroll the highest note of the take into view
+    const highestNote = recordedNotes.reduce((high, note) => Math.max(high, noteNameToMidi(note.note)), roll.lowestMidi);
+    rollScroll.scrollTop = Math.max(0, (roll.highestMidi - highestNote - 2) * ROLL_ROW_HEIGHT);
+    rollScroll.focus();
+    console.log('🎼 Piano roll opened.');
+}
+
+async function closePianoRoll() {
+    if (roll.dirty && recordedNotes.length > 0 && confirm('Save your edits to the library?')) {
+        await saveRollEdits();
+    }
+    roll.drag = null;
+    pianoRollPanel.hidden = true;
+}
+
+rollEditBtn.addEventListener('click', () => {
+    if (pianoRollPanel.hidden) {
+        openPianoRoll();
+    } else {
+        closePianoRoll();
+    }
+});
+
+rollCloseBtn.addEventListener('click', closePianoRoll);
+rollSaveBtn.addEventListener('click', saveRollEdits);
+rollQuantizeBtn.addEventListener('click', quantizeRollNotes);
+rollDeleteBtn.addEventListener('click', deleteSelectedRollNotes);
+rollUndoBtn.addEventListener('click', undoRollEdit);
+rollRedoBtn.addEventListener('click', redoRollEdit);
+
+rollGridSelect.addEventListener('change', (event) => {
+    roll.division = event.target.value;
+    renderPianoRoll();
+});
+
+rollSnapCheckbox.addEventListener('change', (event) => {
+    roll.snap = event.target.checked;
+});
+
+rollStrengthSlider.addEventListener('input', (event) => {
+    roll.strength = event.target.value / 100;
+    rollStrengthValue.textContent = event.target.value + '%';
+});
+
+rollZoomSlider.addEventListener('input', (event) => {
+    roll.zoom = Number(event.target.value);
+    renderPianoRoll();
+});
+
+// Click selects, Shift-click adds/removes, dragging a note moves the selection,
+// dragging its right edge resizes it
+rollGridArea.addEventListener('mousedown', (event) => {
+    if (event.button !== 0 || isRecording) return;
+    rollScroll.focus();
+    const noteElement = event.target.closest('.roll-note');
+    if (!noteElement) {
+        if (!event.shiftKey) setRollSelection([]);
+        return;
+    }
+
+    event.preventDefault();
+    const index = Number(noteElement.dataset.index);
+    if (event.shiftKey) {
+        const selection = new Set(roll.selection);
+        if (selection.has(index)) {
+            selection.delete(index);
+        } else {
+            selection.add(index);
+        }
+        setRollSelection(selection);
+        return;
+    }
+
+    if (!roll.selection.has(index)) setRollSelection([index]);
+    auditionRollNote(recordedNotes[index]);
+    roll.drag = {
+        mode: event.target.classList.contains('roll-note-handle') ? 'resize' : 'move',
+        index,
+        startX: event.clientX,
+        startY: event.clientY,
+        before: cloneNotes(recordedNotes),
+        pitchShift: 0,
+        moved: false
+    };
+});
+
+function dragRollNotes(drag, dx, dy) {
+    const grabbed = drag.before[drag.index];
+
+    if (drag.mode === 'resize') {
+        // The grabbed note's end snaps; the rest of the selection changes by the same amount
+        const grabbedEnd = grabbed.timestamp + getRecordedNoteLength(grabbed);
+        const change = snapRollTime(grabbedEnd + dx) - grabbedEnd;
+        roll.selection.forEach(index => {
+            const original = drag.before[index];
+            const duration = Math.max(ROLL_MIN_NOTE_LENGTH, Math.round(getRecordedNoteLength(original) + change));
+            recordedNotes[index] = { ...original, duration };
+            positionRollNote(roll.noteElements[index], recordedNotes[index]);
+        });
+        return;
+    }
+
+    // Move: the grabbed note's start snaps, pitches move together and stay on the rows
+    const shiftTime = snapRollTime(grabbed.timestamp + dx) - grabbed.timestamp;
+    const pitches = Array.from(roll.selection, index => noteNameToMidi(drag.before[index].note));
+    const lowest = Math.min(...pitches);
+    const highest = Math.max(...pitches);
+    const pitchShift = Math.max(roll.lowestMidi - lowest, Math.min(roll.highestMidi - highest, -Math.round(dy / ROLL_ROW_HEIGHT)));
+
+    roll.selection.forEach(index => {
+        const original = drag.before[index];
+        const midi = noteNameToMidi(original.note) + pitchShift;
+        recordedNotes[index] = {
+            ...original,
+            note: midiToNoteName(midi),
+            frequency: pitchShift ? midiToFrequency(midi) : original.frequency,
+            timestamp: Math.round(original.timestamp + shiftTime)
+        };
+        positionRollNote(roll.noteElements[index], recordedNotes[index]);
+    });
+
+    if (pitchShift !== drag.pitchShift) {
+        drag.pitchShift = pitchShift;
+        auditionRollNote(recordedNotes[drag.index]);
+    }
+}
+
+document.addEventListener('mousemove', (event) => {
+    const drag = roll.drag;
+    if (!drag) return;
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+    if (!drag.moved && Math.abs(dx) < ROLL_DRAG_THRESHOLD && Math.abs(dy) < ROLL_DRAG_THRESHOLD) return;
+    drag.moved = true;
+    dragRollNotes(drag, dx * 1000 / roll.zoom, dy);
+});
+
+document.addEventListener('mouseup', () => {
+    const drag = roll.drag;
+    if (!drag) return;
+    roll.drag = null;
+    if (drag.moved) applyRollEdit(recordedNotes, drag.before);
+});
+
+// Double-click on an empty spot adds a note one grid step long
+rollGridArea.addEventListener('dblclick', (event) => {
+    if (isRecording || event.target.closest('.roll-note')) return;
+    const rect = rollGridArea.getBoundingClientRect();
+    const time = snapRollTime(rollXToTime(event.clientX - rect.left), true);
+    const midi = roll.highestMidi - Math.floor((event.clientY - rect.top) / ROLL_ROW_HEIGHT);
+    if (midi < roll.lowestMidi || midi > roll.highestMidi) return;
+
+    const note = {
+        note: midiToNoteName(midi),
+        frequency: midiToFrequency(midi),
+        timestamp: Math.round(time),
+        duration: Math.max(ROLL_MIN_NOTE_LENGTH, Math.round(getRollGridLength())),
+        velocity: DEFAULT_VELOCITY
+    };
+    roll.selection = new Set([recordedNotes.length]);
+    applyRollEdit([...recordedNotes, note]);
+    auditionRollNote(note);
+});
+
+// Shortcuts while the roll has focus - handled here so the piano doesn't play them
+rollScroll.addEventListener('keydown', (event) => {
+    if (isRecording) return;
+    const key = event.key.toLowerCase();
+    const command = event.ctrlKey || event.metaKey;
+    let handled = true;
+
+    if (command && key === 'z') {
+        if (event.shiftKey) {
+            redoRollEdit();
+        } else {
+            undoRollEdit();
+        }
+    } else if (command && key === 'y') {
+        redoRollEdit();
+    } else if (command && key === 'a') {
+        setRollSelection(recordedNotes.keys());
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        deleteSelectedRollNotes();
+    } else if (event.key === 'Escape') {
+        setRollSelection([]);
+    } else {
+        handled = false;
+    }
+
+    if (handled) {
+        event.preventDefault();
+        event.stopPropagation();
+    }
+});
+
+// ===== MULTI-TRACK LOOPER (look-ahead scheduler on the AudioContext clock, tracks in looper.js) =====
+// Every track plays its own preset into its own gain (volume, mute, solo) ahead of the master bus.
+// The loop is a whole number of bars at the metronome's tempo and meter when it starts.
+const LOOPER_START_DELAY = 0.1; // seconds, lets the first notes be queued in time
+const TRACK_GAIN_SMOOTHING = 0.02; // seconds
+
+const looper = {
+    state: 'stopped', // 'stopped' | 'playing'
+    tracks: [],
+    bars: 2,
+    bpm: 120, // meter the running loop was started with
+    timeSignature: [4, 4],
+    loopLength: 0, // ms
+    startTime: 0, // audioContext time the first pass starts (after any count-in)
+    scheduledUntil: 0, // looper time (ms) already handed to the audio clock
+    scheduled: [], // { voice, endTime } queued voices, cut off on stop
+    timerId: null,
+    overdubTrackId: null, // track that live playing is added to
+    heldNotes: new Map() // keyIdentifier -> { note, pressedAt } overdubbed notes still held
+};
+const trackOutputs = new Map(); // track id -> GainNode feeding the master bus
+
+function getOverdubTrack() {
+    return looper.tracks.find(track => track.id === looper.overdubTrackId) || null;
+}
+
+function getTrackPreset(track) {
+    return soundPresets[track.preset] || getCurrentPreset();
+}
+
+// While the looper plays into an armed track, live playing sounds (and is heard) like that track.
+// Stopped, the keys go back to the Sound selector and the master bus, whatever is armed or muted.
+function getLiveVoiceOptions() {
+    const track = getOverdubTrack();
+    if (!track || looper.state !== 'playing') return {};
+    return { preset: getTrackPreset(track), destination: trackOutputs.get(track.id) };
+}
+
+function updateTrackGains() {
+    looper.tracks.forEach(track => {
+        const level = isTrackAudible(track, looper.tracks) ? track.volume : 0;
+        trackOutputs.get(track.id).gain.setTargetAtTime(level, audioContext.currentTime, TRACK_GAIN_SMOOTHING);
+    });
+}
+
+function getLooperTime() {
+    return (audioContext.currentTime - looper.startTime) * 1000;
+}
+
+function looperTick() {
+    const horizon = getLooperTime() + SCHEDULE_AHEAD_TIME * 1000;
+
+    if (horizon > looper.scheduledUntil) {
+        looper.tracks.forEach(track => {
+            const options = { preset: getTrackPreset(track), destination: trackOutputs.get(track.id) };
+            getLoopNotesBetween(track, looper.scheduledUntil, horizon, looper.loopLength).forEach(({ note, at }) => {
+                const startTime = looper.startTime + at / 1000;
+                const duration = note.duration == null ? null : note.duration / 1000;
+                const voice = playbackNote(getNoteFrequency(note.note), note.note, startTime, duration, note.velocity, options);
+                looper.scheduled.push({ voice, endTime: startTime + (duration || FALLBACK_NOTE_LENGTH / 1000) });
+            });
+        });
+        looper.scheduledUntil = horizon;
+    }
+
+    looper.scheduled = looper.scheduled.filter(entry => entry.endTime > audioContext.currentTime);
+    updateLooperPosition();
+}
+
+// Bar.beat inside the loop
+function updateLooperPosition() {
+    if (looper.state !== 'playing') {
+        looperPosition.textContent = '—';
+        return;
+    }
+    const time = getLooperTime();
+    if (time < 0) {
+        looperPosition.textContent = 'Count-in';
+        return;
+    }
+    const barLength = looper.loopLength / looper.bars;
+    const position = wrapLoopTime(time, looper.loopLength);
+    const bar = Math.floor(position / barLength) + 1;
+    const beat = Math.floor((position % barLength) / (60000 / looper.bpm)) + 1;
+    looperPosition.textContent = `${bar}.${beat} / ${looper.bars}`;
+}
+
+function startLooper() {
+    if (audioContext.state === 'suspended') audioContext.resume();
+    looper.bpm = metronome.bpm;
+    looper.timeSignature = metronome.timeSignature.slice();
+    looper.loopLength = getBarLength(looper.bpm, looper.timeSignature) * looper.bars;
+
+    // Starting with a track armed counts in like a recording does
+    const countInBars = looper.overdubTrackId ? metronome.countInBars : 0;
+    const firstBeat = audioContext.currentTime + LOOPER_START_DELAY;
+    looper.startTime = firstBeat + countInBars * getBarDuration();
+    if (metronome.enabled) {
+        startMetronomeClock(firstBeat);
+    } else if (countInBars > 0) {
+        startMetronomeClock(firstBeat, looper.startTime);
+    }
+
+    looper.state = 'playing';
+    looper.scheduledUntil = 0;
+    looper.timerId = setInterval(looperTick, SCHEDULER_INTERVAL);
+    looperTick();
+    updateLooperControls();
+    console.log(`🔁 Looper playing: ${looper.bars} bar${looper.bars > 1 ? 's' : ''} at ${looper.bpm} BPM ${looper.timeSignature.join('/')}`);
+}
+
+function stopLooper() {
+    clearInterval(looper.timerId);
+    looper.timerId = null;
+    looper.scheduled.forEach(entry => entry.voice.stop(0.05));
+    looper.scheduled = [];
+    Array.from(looper.heldNotes.keys()).forEach(finishLoopNote);
+    if (!metronome.enabled && !countInTimer) stopMetronomeClock();
+    looper.state = 'stopped';
+    updateLooperControls();
+    console.log('⏹️ Looper stopped.');
+}
+
+// Clicks line up with the loop's bars while the looper runs
+function getMetronomeStartTime() {
+    const soon = audioContext.currentTime + 0.05;
+    if (looper.state !== 'playing') return soon;
+    const barDuration = looper.loopLength / looper.bars / 1000;
+    return looper.startTime + Math.max(0, Math.ceil((soon - looper.startTime) / barDuration)) * barDuration;
+}
+
+// Live notes are added to the overdubbing track at their place in the loop
+function captureLoopNote(keyIdentifier, noteName, frequency, velocity) {
+    const track = getOverdubTrack();
+    if (!track || looper.state !== 'playing' || getLooperTime() < 0) return;
+
+    const note = {
+        note: noteName,
+        frequency,
+        time: Math.round(wrapLoopTime(getLooperTime(), looper.loopLength)),
+        duration: null,
+        velocity
+    };
+    insertLoopNote(track, note);
+    looper.heldNotes.set(keyIdentifier, { note, pressedAt: audioContext.currentTime });
+    updateTrackNoteCount(track);
+}
+
+// Called when the voice is released, so notes held by the pedal keep their full length
+function finishLoopNote(keyIdentifier) {
+    const held = looper.heldNotes.get(keyIdentifier);
+    if (!held) return;
+    held.note.duration = Math.max(0, Math.round((audioContext.currentTime - held.pressedAt) * 1000));
+    looper.heldNotes.delete(keyIdentifier);
+}
+
+function addLoopTrack() {
+    if (looper.tracks.length >= LOOPER_MAX_TRACKS) return;
+    let number = 1;
+    while (looper.tracks.some(track => track.name === `Track ${number}`)) number++;
+
+    const track = createLoopTrack(`Track ${number}`, currentPreset);
+    const output = audioContext.createGain();
+    output.connect(masterBus.input);
+    trackOutputs.set(track.id, output);
+    looper.tracks.push(track);
+    // A new track is ready to play into when nothing else is armed
+    if (!looper.overdubTrackId) looper.overdubTrackId = track.id;
+    updateTrackGains();
+    renderLooperTracks();
+    console.log(`➕ Added ${track.name} (${getTrackPreset(track).name})`);
+}
+
+function removeLoopTrack(track) {
+    if (looper.overdubTrackId === track.id) setOverdubTrack(null);
+    trackOutputs.get(track.id).disconnect();
+    trackOutputs.delete(track.id);
+    looper.tracks = looper.tracks.filter(other => other !== track);
+    updateTrackGains();
+}
+
+function setOverdubTrack(trackId) {
+    // Notes still held belong to the track they started on
+    Array.from(looper.heldNotes.keys()).forEach(finishLoopNote);
+    looper.overdubTrackId = trackId;
+}
+
+function updateLooperControls() {
+    const playing = looper.state === 'playing';
+    looperPlayBtn.innerHTML = playing ? '<i class="fas fa-stop"></i> Stop Loop' : '<i class="fas fa-play"></i> Play Loop';
+    looperBarsSelect.disabled = playing;
+    looperAddBtn.disabled = looper.tracks.length >= LOOPER_MAX_TRACKS;
+    updateLooperPosition();
+}
+
+function updateTrackNoteCount(track) {
+    const meta = looperTrackList.querySelector(`[data-track-meta="${track.id}"]`);
+    if (meta) meta.textContent = `${getTrackPreset(track).name} • ${track.notes.length} notes`;
+}
+
+function createTrackButton(track, action, content, label, pressed) {
+    const button = document.createElement('button');
+    button.className = 'looper-track-btn';
+    button.classList.toggle('active', Boolean(pressed));
+    button.dataset.action = action;
+    button.dataset.id = track.id;
+    button.title = label;
+    button.setAttribute('aria-label', `${label} ${track.name}`);
+    if (pressed !== undefined) button.setAttribute('aria-pressed', String(pressed));
+    button.innerHTML = content;
+    return button;
+}
+
+function renderLooperTracks() {
+    looperTrackList.innerHTML = '';
+
+    looper.tracks.forEach(track => {
+        const item = document.createElement('li');
+        item.className = 'looper-track';
+        item.classList.toggle('overdubbing', track.id === looper.overdubTrackId);
+        item.classList.toggle('silent', !isTrackAudible(track, looper.tracks));
+
+        const info = document.createElement('div');
+        info.className = 'take-info';
+        const name = document.createElement('strong');
+        name.className = 'take-name';
+        name.textContent = track.name;
+        const meta = document.createElement('span');
+        meta.className = 'take-meta';
+        meta.dataset.trackMeta = track.id;
+        info.append(name, meta);
+
+        const controls = document.createElement('div');
+        controls.className = 'looper-track-controls';
+
+        const presetSelect = document.createElement('select');
+        presetSelect.className = 'preset-select';
+        presetSelect.dataset.action = 'preset';
+        presetSelect.dataset.id = track.id;
+        presetSelect.setAttribute('aria-label', `${track.name} sound`);
+        Object.keys(soundPresets).forEach(key => presetSelect.add(new Option(soundPresets[key].name, key)));
+        presetSelect.value = track.preset;
+
+        const volumeInput = document.createElement('input');
+        volumeInput.type = 'range';
+        volumeInput.min = 0;
+        volumeInput.max = 100;
+        volumeInput.value = Math.round(track.volume * 100);
+        volumeInput.dataset.action = 'volume';
+        volumeInput.dataset.id = track.id;
+        volumeInput.setAttribute('aria-label', `${track.name} volume`);
+
+        controls.append(
+            presetSelect,
+            volumeInput,
+            createTrackButton(track, 'overdub', '<i class="fas fa-circle"></i> Overdub', 'Overdub', track.id === looper.overdubTrackId),
+            createTrackButton(track, 'mute', 'M', 'Mute', track.muted),
+            createTrackButton(track, 'solo', 'S', 'Solo', track.solo),
+            createTrackButton(track, 'clear', '<i class="fas fa-eraser"></i>', 'Clear notes of'),
+            createTrackButton(track, 'delete', '<i class="fas fa-trash"></i>', 'Delete')
+        );
+
+        item.append(info, controls);
+        looperTrackList.appendChild(item);
+        updateTrackNoteCount(track);
+    });
+
+    updateLooperControls();
+}
+
+looperTrackList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const track = looper.tracks.find(candidate => candidate.id === button.dataset.id);
+    if (!track) return;
+
+    const action = button.dataset.action;
+    if (action === 'overdub') {
+        setOverdubTrack(looper.overdubTrackId === track.id ? null : track.id);
+    } else if (action === 'mute') {
+        track.muted = !track.muted;
+        updateTrackGains();
+    } else if (action === 'solo') {
+        track.solo = !track.solo;
+        updateTrackGains();
+    } else if (action === 'clear') {
+        if (track.notes.length > 0 && !confirm(`Clear all notes of ${track.name}?`)) return;
+        track.notes = [];
+        Array.from(looper.heldNotes.keys()).forEach(finishLoopNote);
+    } else if (action === 'delete') {
+        if (track.notes.length > 0 && !confirm(`Delete ${track.name}?`)) return;
+        removeLoopTrack(track);
+    }
+    renderLooperTracks();
+});
+
+looperTrackList.addEventListener('input', (event) => {
+    if (event.target.dataset.action !== 'volume') return;
+    const track = looper.tracks.find(candidate => candidate.id === event.target.dataset.id);
+    if (!track) return;
+    track.volume = event.target.value / 100;
+    updateTrackGains();
 });
 
-// ===== TOGGLE KEY LABELS =====
-showLabelsCheckbox.addEventListener('change', (event) => {
-    if (event.target.checked) {
-        document.body.classList.remove('hide-labels');
-    } else {
-        document.body.classList.add('hide-labels');
-    }
+looperTrackList.addEventListener('change', (event) => {
+    if (event.target.dataset.action !== 'preset') return;
+    const track = looper.tracks.find(candidate => candidate.id === event.target.dataset.id);
+    if (!track) return;
+    track.preset = event.target.value;
+    updateTrackNoteCount(track);
 });
 
-// ===== THEME TOGGLE =====
-themeToggle.addEventListener('click', () => {
-    const body = document.body;
-    const icon = themeToggle.querySelector('i');
-    
-    if (body.classList.contains('light-theme')) {
-        body.classList.remove('light-theme');
-        body.classList.add('dark-theme');
-        icon.classList.remove('fa-moon');
-        icon.classList.add('fa-sun');
-        themeToggle.innerHTML = '<i class="fas fa-sun"></i> Light Mode';
+looperPlayBtn.addEventListener('click', () => {
+    if (looper.state === 'playing') {
+        stopLooper();
     } else {
-        body.classList.remove('dark-theme');
-        body.classList.add('light-theme');
-        icon.classList.remove('fa-sun');
-        icon.classList.add('fa-moon');
-        themeToggle.innerHTML = '<i class="fas fa-moon"></i> Dark Mode';
+        startLooper();
     }
 });
 
-// ===== RECORDING CONTROLS =====
-recordBtn.addEventListener('click', () => {
-    if (!isRecording) {
-        // Start recording
-        isRecording = true;
-        recordedNotes = [];
-        recordBtn.classList.add('recording');
-        recordBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
-        recordStatus.style.display = 'block';
-        notesCount.textContent = '0 notes';
-        console.log('🔴 Recording started...');
+looperAddBtn.addEventListener('click', addLoopTrack);
+
+looperBarsSelect.addEventListener('change', (event) => {
+    looper.bars = parseInt(event.target.value, 10);
+});
+
+renderLooperTracks();
+
+// ===== PRACTICE MODE (songs, hands and scoring in lesson.js) =====
+// "Wait for me" holds the song at each step until its notes are played; "Play along" keeps
+// going and scores every note on timing. Notes that are not being practised play by themselves.
+// Song positions are ms of song time; the speed setting slows the song clock down.
+const LESSON_LEAD_IN = 2; // seconds before the first note arrives
+const LESSON_LANE_SECONDS = 3; // how far ahead the falling notes show
+const LESSON_HINT_TIME = 400; // ms ahead that play-along notes light up their keys
+const LESSON_END_PAUSE = 500; // ms after the last note before the results show
+
+const lesson = {
+    state: 'idle', // 'idle' | 'running'
+    mode: 'wait', // 'wait' | 'score'
+    speed: 1,
+    songName: '',
+    notes: [], // lesson notes, sorted by time
+    accompaniment: [], // the notes not being practised
+    steps: [], // practice notes grouped by start, for wait mode
+    stepIndex: 0,
+    nextAccompaniment: 0,
+    anchorTime: 0, // audioContext time at which anchorPosition sounds
+    anchorPosition: 0,
+    holding: false, // wait mode: the song clock is stopped at the current step
+    end: 0, // song position the lesson finishes at
+    wrongNotes: [], // MIDI numbers of presses that matched nothing
+    outOfRange: 0, // picked notes without a key on screen (played as accompaniment)
+    scheduled: [], // { voice, endTime } queued accompaniment, cut off on stop
+    timerId: null
+};
+
+function getLessonPosition() {
+    if (lesson.holding) return lesson.anchorPosition;
+    return lesson.anchorPosition + (audioContext.currentTime - lesson.anchorTime) * 1000 * lesson.speed;
+}
+
+function lessonPositionToTime(position) {
+    return lesson.anchorTime + (position - lesson.anchorPosition) / 1000 / lesson.speed;
+}
+
+function setLessonAnchor(position) {
+    lesson.anchorPosition = position;
+    lesson.anchorTime = audioContext.currentTime;
+}
+
+// Lesson notes of the song picked in the list (null when it has none)
+function getLessonSongNotes(value) {
+    if (value === 'current') {
+        if (recordedNotes.length === 0) return null;
+        return recordingToLessonNotes(getTakeNotes().map(note => ({ ...note, time: note.start })));
+    }
+    if (value.startsWith('take:')) {
+        const take = savedTakes.find(candidate => candidate.id === value.slice(5));
+        return take && take.notes.length ? recordingToLessonNotes(take.notes) : null;
+    }
+    const song = LESSON_SONGS.find(candidate => candidate.id === value);
+    return song ? songToLessonNotes(song) : null;
+}
+
+function getLessonPractice() {
+    return {
+        part: lessonPracticeSelect.value,
+        low: parseInt(lessonRangeLowSelect.value, 10),
+        high: parseInt(lessonRangeHighSelect.value, 10)
+    };
+}
+
+function startLesson() {
+    const songNotes = getLessonSongNotes(lessonSongSelect.value);
+    if (!songNotes) {
+        alert('⚠️ That song has no notes yet. Record or import something first.');
+        return;
+    }
+    // Notes with no key on screen can't be played, so they join the accompaniment
+    const selected = selectPracticeNotes(songNotes, getLessonPractice());
+    const notes = selected.map(note => (note.practice && !findKeyByNote(note.note) ? { ...note, practice: false } : note));
+    const practised = notes.filter(note => note.practice);
+    if (practised.length === 0) {
+        alert(selected.some(note => note.practice)
+            ? '⚠️ The notes you picked are all off the keyboard. Widen the range to practise them.'
+            : '⚠️ None of the song\'s notes are in the part you picked. Choose another hand or range.');
+        return;
+    }
+    if (transport.state === 'playing') pausePlayback();
+    if (audioContext.state === 'suspended') audioContext.resume();
+
+    lesson.mode = lessonModeSelect.value;
+    lesson.songName = lessonSongSelect.selectedOptions[0].textContent;
+    lesson.notes = notes;
+    lesson.accompaniment = notes.filter(note => !note.practice);
+    lesson.steps = groupLessonSteps(notes);
+    lesson.stepIndex = 0;
+    lesson.nextAccompaniment = 0;
+    lesson.holding = false;
+    lesson.wrongNotes = [];
+    lesson.end = notes.reduce((end, note) => Math.max(end, note.time + note.duration), 0) + LESSON_END_PAUSE;
+    lesson.outOfRange = selected.filter(note => note.practice).length - practised.length;
+    setLessonAnchor(-LESSON_LEAD_IN * 1000 * lesson.speed);
+
+    lesson.state = 'running';
+    lessonResults.hidden = true;
+    lessonLane.hidden = false;
+    lesson.timerId = setInterval(lessonTick, SCHEDULER_INTERVAL);
+    lessonTick();
+    updateLessonControls();
+    console.log(`🎓 Practising "${lesson.songName}": ${practised.length} notes, ${lesson.mode === 'wait' ? 'wait for me' : 'play along'} at ${Math.round(lesson.speed * 100)}%`);
+}
+
+// Stop the clock and clear the lane; queued accompaniment is left to ring unless cut
+function haltLesson() {
+    clearInterval(lesson.timerId);
+    lesson.timerId = null;
+    lesson.state = 'idle';
+    lesson.scheduled = [];
+    lessonLane.innerHTML = '';
+    lessonLane.hidden = true;
+    updateLessonTargets();
+    updateLessonControls();
+}
+
+function stopLesson() {
+    lesson.scheduled.forEach(entry => entry.voice.stop(0.05));
+    haltLesson();
+    lessonStatus.textContent = 'Practice stopped.';
+    console.log('⏹️ Practice stopped.');
+}
+
+function finishLesson() {
+    const summary = summarizeLesson(lesson.notes, lesson.wrongNotes);
+    haltLesson();
+    showLessonResults(summary);
+    lessonStatus.textContent = 'Finished! Press Start to go again.';
+    console.log(`🏁 "${lesson.songName}" finished: ${summary.accuracy}% accuracy (${summary.hits}/${summary.total} notes, ${summary.wrong} wrong)`);
+}
+
+function lessonTick() {
+    let position = getLessonPosition();
+    const step = lesson.steps[lesson.stepIndex];
+
+    if (lesson.mode === 'wait') {
+        // Hold the song at the next step until it has been played
+        if (step && !lesson.holding && position >= step.time) {
+            setLessonAnchor(step.time);
+            lesson.holding = true;
+            position = step.time;
+        }
     } else {
-        // Stop recording
-        isRecording = false;
-        recordBtn.classList.remove('recording');
-        recordBtn.innerHTML = '<i class="fas fa-circle"></i> Record';
-        recordStatus.style.display = 'none';
-        
-        if (recordedNotes.length > 0) {
-            playBtn.disabled = false;
-            clearBtn.disabled = false;
-            console.log(`✅ Recording stopped. ${recordedNotes.length} notes recorded.`);
-        } else {
-            console.log('⚠️ No notes recorded.');
+        // Notes that have gone past their window were missed
+        const hitWindow = LESSON_HIT_WINDOW * lesson.speed;
+        lesson.notes.forEach(note => {
+            if (note.practice && !note.result && position - note.time > hitWindow) {
+                note.result = { hit: false, offset: null };
+            }
+        });
+    }
+
+    scheduleLessonAccompaniment(position);
+    lesson.scheduled = lesson.scheduled.filter(entry => entry.endTime > audioContext.currentTime);
+
+    if (position >= lesson.end && (lesson.mode === 'score' || lesson.stepIndex >= lesson.steps.length)) {
+        finishLesson();
+        return;
+    }
+
+    drawLessonLane(position);
+    updateLessonTargets(position);
+    updateLessonStatus();
+}
+
+// Accompaniment is queued ahead like playback, but never past a step still to be played
+function scheduleLessonAccompaniment(position) {
+    const horizon = position + SCHEDULE_AHEAD_TIME * 1000 * lesson.speed;
+    const step = lesson.mode === 'wait' ? lesson.steps[lesson.stepIndex] : null;
+
+    while (lesson.nextAccompaniment < lesson.accompaniment.length) {
+        const note = lesson.accompaniment[lesson.nextAccompaniment];
+        if (note.time > horizon || (step && note.time >= step.time)) break;
+        const startTime = Math.max(audioContext.currentTime, lessonPositionToTime(note.time));
+        const duration = note.duration / 1000 / lesson.speed;
+        const voice = playbackNote(midiToFrequency(note.midi), note.note, startTime, duration);
+        lesson.scheduled.push({ voice, endTime: startTime + duration });
+        lesson.nextAccompaniment++;
+    }
+}
+
+// Called from playNote, so computer keys, mouse and MIDI are all scored
+function handleLessonInput(noteName) {
+    if (lesson.state !== 'running') return;
+    const position = getLessonPosition();
+
+    if (lesson.mode === 'wait') {
+        const step = lesson.steps[lesson.stepIndex];
+        const match = step && step.notes.find(note => note.note === noteName && !note.result);
+        if (!match) {
+            lesson.wrongNotes.push(noteNameToMidi(noteName));
+            return;
         }
+        match.result = { hit: true, offset: null };
+        if (step.notes.every(note => note.result)) completeLessonStep();
+        return;
     }
-});
 
-playBtn.addEventListener('click', async () => {
-    if (isPlaying || recordedNotes.length === 0) return;
-    
-    isPlaying = true;
-    playBtn.disabled = true;
-    playBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Playing...';
-    
-    console.log('▶️ Playing recorded notes...');
-    
-    // Calculate relative timings
-    const startTime = recordedNotes[0].timestamp;
-    
-    for (let i = 0; i < recordedNotes.length; i++) {
-        const note = recordedNotes[i];
-        const delay = i === 0 ? 0 : note.timestamp - recordedNotes[i - 1].timestamp;
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Play note (playback mode - short duration)
-        playbackNote(note.frequency, note.note);
+    // Play along: the closest unplayed note of that pitch inside its window
+    const hitWindow = LESSON_HIT_WINDOW * lesson.speed;
+    let match = null;
+    lesson.notes.forEach(note => {
+        if (!note.practice || note.result || note.note !== noteName) return;
+        const distance = Math.abs(position - note.time);
+        if (distance <= hitWindow && (!match || distance < Math.abs(position - match.time))) match = note;
+    });
+    if (!match) {
+        lesson.wrongNotes.push(noteNameToMidi(noteName));
+        return;
+    }
+    match.result = { hit: true, offset: Math.round((position - match.time) / lesson.speed) };
+}
+
+// The step is done: let the song carry on from it
+function completeLessonStep() {
+    if (lesson.holding) {
+        setLessonAnchor(lesson.steps[lesson.stepIndex].time);
+        lesson.holding = false;
+    }
+    lesson.stepIndex++;
+    lessonTick();
+}
+
+// Bars fall toward their keys and reach the bottom of the lane when they are due
+function drawLessonLane(position) {
+    const laneRect = lessonLane.getBoundingClientRect();
+    const height = lessonLane.clientHeight;
+    const ahead = LESSON_LANE_SECONDS * 1000 * lesson.speed;
+    lessonLane.innerHTML = '';
+
+    lesson.notes.forEach(note => {
+        if (note.time > position + ahead || note.time + note.duration < position) return;
         const keyElement = findKeyByNote(note.note);
-        if (keyElement) {
-            activateKey(keyElement, true); // Auto-remove animation for playback
-        }
-        
-        pressedKeyDisplay.textContent = note.note;
+        if (!keyElement) return;
+        const keyRect = keyElement.getBoundingClientRect();
+
+        const bar = document.createElement('div');
+        bar.className = `lesson-bar ${note.hand}`;
+        bar.classList.toggle('accompaniment', !note.practice);
+        if (note.result) bar.classList.add(note.result.hit ? 'hit' : 'missed');
+        bar.style.left = `${keyRect.left - laneRect.left}px`;
+        bar.style.width = `${keyRect.width}px`;
+        bar.style.bottom = `${((note.time - position) / ahead) * height}px`;
+        bar.style.height = `${Math.max(4, (note.duration / ahead) * height)}px`;
+        lessonLane.appendChild(bar);
+    });
+}
+
+// Notes to play next: the current step, or the play-along notes about to arrive
+function getLessonTargets(position) {
+    if (lesson.state !== 'running') return [];
+    if (lesson.mode === 'wait') {
+        const step = lesson.steps[lesson.stepIndex];
+        return step ? step.notes.filter(note => !note.result) : [];
+    }
+    const hint = LESSON_HINT_TIME * lesson.speed;
+    const hitWindow = LESSON_HIT_WINDOW * lesson.speed;
+    return lesson.notes.filter(note => note.practice && !note.result &&
+        note.time - position <= hint && position - note.time <= hitWindow);
+}
+
+function updateLessonTargets(position) {
+    const targets = getLessonTargets(position);
+    document.querySelectorAll('#piano-keys .key').forEach(keyDiv => {
+        const target = targets.find(note => note.note === keyDiv.getAttribute('data-note'));
+        keyDiv.classList.toggle('lesson-target', Boolean(target));
+        keyDiv.classList.toggle('lesson-left', Boolean(target) && target.hand === 'left');
+    });
+}
+
+function updateLessonStatus() {
+    let text;
+    if (lesson.mode === 'wait') {
+        const step = lesson.steps[lesson.stepIndex];
+        text = step
+            ? `Step ${lesson.stepIndex + 1}/${lesson.steps.length}${lesson.holding ? ` • Waiting for ${step.notes.filter(note => !note.result).map(note => note.note).join(' ')}` : ''}`
+            : 'All steps played!';
+    } else {
+        const judged = lesson.notes.filter(note => note.practice && note.result);
+        const hits = judged.filter(note => note.result.hit).length;
+        text = `Hit ${hits} • Missed ${judged.length - hits}`;
+    }
+    text += ` • Wrong ${lesson.wrongNotes.length}`;
+    if (lesson.outOfRange > 0) text += ` • ⚠️ ${lesson.outOfRange} notes are off the keyboard and play by themselves - widen the range to practise them`;
+    lessonStatus.textContent = text;
+}
+
+function formatTimingOffset(offset) {
+    if (offset === 0) return 'On time';
+    return offset < 0 ? `${-offset} ms early` : `${offset} ms late`;
+}
+
+function showLessonResults(summary) {
+    const stats = [
+        ['Accuracy', `${summary.accuracy}%`],
+        ['Notes hit', `${summary.hits}/${summary.total}`],
+        ['Missed', summary.misses],
+        ['Wrong notes', summary.wrong]
+    ];
+    if (summary.meanOffset != null) {
+        stats.push(
+            ['Average timing', formatTimingOffset(summary.meanOffset)],
+            ['Average error', `±${summary.meanAbsOffset} ms`],
+            ['Perfect / Good / OK', `${summary.grades.perfect} / ${summary.grades.good} / ${summary.grades.ok}`]
+        );
+    }
+    Object.keys(summary.byHand).forEach(hand => {
+        const result = summary.byHand[hand];
+        stats.push([`${hand === 'left' ? 'Left' : 'Right'} hand`, `${result.accuracy}% (${result.hits}/${result.total})`]);
+    });
+
+    lessonResults.innerHTML = '';
+    const heading = document.createElement('h4');
+    heading.textContent = `${lesson.songName} • ${lesson.mode === 'wait' ? 'Wait for me' : 'Play along'} at ${Math.round(lesson.speed * 100)}%`;
+    const grid = document.createElement('div');
+    grid.className = 'lesson-stats';
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'lesson-stat';
+        const strong = document.createElement('strong');
+        strong.textContent = value;
+        const span = document.createElement('span');
+        span.textContent = label;
+        stat.append(strong, span);
+        grid.appendChild(stat);
+    });
+    lessonResults.append(heading, grid);
+    lessonResults.hidden = false;
+}
+
+function updateLessonControls() {
+    const running = lesson.state === 'running';
+    lessonStartBtn.innerHTML = running ? '<i class="fas fa-stop"></i> Stop' : '<i class="fas fa-play"></i> Start';
+    [lessonSongSelect, lessonModeSelect, lessonPracticeSelect, lessonRangeLowSelect, lessonRangeHighSelect]
+        .forEach(control => { control.disabled = running; });
+}
+
+// Built-in songs, then the current recording and the library (imported MIDI files land there)
+function populateLessonSongs() {
+    const selected = lessonSongSelect.value;
+    lessonSongSelect.innerHTML = '';
+
+    const songs = document.createElement('optgroup');
+    songs.label = 'Songs';
+    LESSON_SONGS.forEach(song => songs.appendChild(new Option(song.name, song.id)));
+    const takes = document.createElement('optgroup');
+    takes.label = 'Your takes';
+    takes.appendChild(new Option('Current recording', 'current'));
+    savedTakes.forEach(take => takes.appendChild(new Option(take.name, `take:${take.id}`)));
+    lessonSongSelect.append(songs, takes);
+
+    if (Array.from(lessonSongSelect.options).some(option => option.value === selected)) {
+        lessonSongSelect.value = selected;
+    }
+}
+
+// Range pickers list the white keys from A0 to C8, like the keyboard range
+function populateLessonRangePickers() {
+    generatePianoKeys(MIN_MIDI_NOTE, MAX_MIDI_NOTE)
+        .filter(key => !key.isBlack)
+        .forEach(key => {
+            lessonRangeLowSelect.add(new Option(key.note, key.midi));
+            lessonRangeHighSelect.add(new Option(key.note, key.midi));
+        });
+    lessonRangeLowSelect.value = LESSON_SPLIT_MIDI;
+    lessonRangeHighSelect.value = MAX_MIDI_NOTE;
+}
+
+lessonStartBtn.addEventListener('click', () => {
+    if (lesson.state === 'running') {
+        stopLesson();
+    } else {
+        startLesson();
     }
-    
-    isPlaying = false;
-    playBtn.disabled = false;
-    playBtn.innerHTML = '<i class="fas fa-play"></i> Play';
-    console.log('✅ Playback complete!');
 });
 
-clearBtn.addEventListener('click', () => {
-    if (confirm('Clear recorded notes?')) {
-        recordedNotes = [];
-        playBtn.disabled = true;
-        clearBtn.disabled = true;
-        notesCount.textContent = '0 notes';
-        console.log('🗑️ Recording cleared.');
+lessonPracticeSelect.addEventListener('change', (event) => {
+    lessonRange.hidden = event.target.value !== 'range';
+});
+
+function handleLessonRangeChange(event) {
+    const low = parseInt(lessonRangeLowSelect.value, 10);
+    const high = parseInt(lessonRangeHighSelect.value, 10);
+    if (low > high) {
+        // Keep the pair in order by moving the other end
+        if (event.target === lessonRangeLowSelect) lessonRangeHighSelect.value = low;
+        else lessonRangeLowSelect.value = high;
+    }
+}
+
+lessonRangeLowSelect.addEventListener('change', handleLessonRangeChange);
+lessonRangeHighSelect.addEventListener('change', handleLessonRangeChange);
+
+lessonSpeedSlider.addEventListener('input', (event) => {
+    // Re-anchor so the song stays where it is while the speed changes
+    if (lesson.state === 'running' && !lesson.holding) setLessonAnchor(getLessonPosition());
+    lesson.speed = event.target.value / 100;
+    lessonSpeedValue.textContent = `${event.target.value}%`;
+});
+
+populateLessonSongs();
+populateLessonRangePickers();
+
+// ===== VISUALIZER (analyser on the master bus output, note history strip) =====
+// Drawing runs on requestAnimationFrame while something is shown and stops while the tab is hidden.
+const NOTE_HISTORY_SECONDS = 8; // width of the history strip
+const SPECTRUM_BARS = 96;
+const SPECTRUM_MIN_FREQUENCY = 20;
+
+const analyser = audioContext.createAnalyser();
+analyser.fftSize = 2048;
+analyser.smoothingTimeConstant = 0.8;
+masterBus.output.connect(analyser);
+const analyserData = new Uint8Array(analyser.frequencyBinCount * 2);
+
+const visualizer = {
+    view: 'scope', // 'off' | 'scope' | 'spectrum'
+    showHistory: true,
+    frameId: null,
+    colors: {} // read from the theme's CSS variables
+};
+const noteHistory = []; // { midi, start, end, velocity } in audioContext time; end is null while held
+const heldHistoryNotes = new Map(); // keyIdentifier -> history entry of a live note
+
+// Forget notes that have scrolled off the strip (held notes stay until released)
+function pruneNoteHistory(now) {
+    const since = now - NOTE_HISTORY_SECONDS;
+    for (let i = noteHistory.length - 1; i >= 0; i--) {
+        if (noteHistory[i].end !== null && noteHistory[i].end < since) noteHistory.splice(i, 1);
+    }
+}
+
+// Pruned here too, so the list stays short while the strip is hidden and not drawing
+function addHistoryNote(noteName, start, end, velocity) {
+    pruneNoteHistory(audioContext.currentTime);
+    const entry = { midi: noteNameToMidi(noteName), start, end, velocity };
+    noteHistory.push(entry);
+    return entry;
+}
+
+// Live notes: called from startSound and releaseVoice
+function startHistoryNote(keyIdentifier, noteName, velocity) {
+    heldHistoryNotes.set(keyIdentifier, addHistoryNote(noteName, audioContext.currentTime, null, velocity));
+}
+
+function endHistoryNote(keyIdentifier) {
+    const entry = heldHistoryNotes.get(keyIdentifier);
+    if (!entry) return;
+    entry.end = audioContext.currentTime;
+    heldHistoryNotes.delete(keyIdentifier);
+}
+
+function readVisualizerColors() {
+    const style = getComputedStyle(visualizerCanvas);
+    ['background', 'grid', 'line', 'accent'].forEach(name => {
+        visualizer.colors[name] = style.getPropertyValue(`--visualizer-${name}`).trim();
+    });
+}
+
+// Match the canvas buffer to its displayed size
+function fitCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (width > 0 && (canvas.width !== width || canvas.height !== height)) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    return canvas.getContext('2d');
+}
+
+function drawScope(context, width, height) {
+    const samples = analyserData.subarray(0, analyser.fftSize);
+    analyser.getByteTimeDomainData(samples);
+    context.strokeStyle = visualizer.colors.grid;
+    context.beginPath();
+    context.moveTo(0, height / 2);
+    context.lineTo(width, height / 2);
+    context.stroke();
+
+    context.strokeStyle = visualizer.colors.line;
+    context.lineWidth = 2;
+    context.beginPath();
+    samples.forEach((sample, i) => {
+        const x = (i / (samples.length - 1)) * width;
+        const y = (1 - sample / 255) * height;
+        if (i === 0) context.moveTo(x, y);
+        else context.lineTo(x, y);
+    });
+    context.stroke();
+    context.lineWidth = 1;
+}
+
+// Bars on a log frequency scale, each showing the loudest bin it covers
+function drawSpectrum(context, width, height) {
+    const bins = analyserData.subarray(0, analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(bins);
+    const nyquist = audioContext.sampleRate / 2;
+    const binWidth = nyquist / bins.length;
+    const barWidth = width / SPECTRUM_BARS;
+    context.fillStyle = visualizer.colors.accent;
+
+    for (let bar = 0; bar < SPECTRUM_BARS; bar++) {
+        const low = SPECTRUM_MIN_FREQUENCY * Math.pow(nyquist / SPECTRUM_MIN_FREQUENCY, bar / SPECTRUM_BARS);
+        const high = SPECTRUM_MIN_FREQUENCY * Math.pow(nyquist / SPECTRUM_MIN_FREQUENCY, (bar + 1) / SPECTRUM_BARS);
+        const first = Math.floor(low / binWidth);
+        const last = Math.min(bins.length - 1, Math.max(first, Math.floor(high / binWidth)));
+        let level = 0;
+        for (let bin = first; bin <= last; bin++) level = Math.max(level, bins[bin]);
+        const barHeight = (level / 255) * height;
+        context.fillRect(bar * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+    }
+}
+
+// Time runs right to left (now at the right edge); one row per key of the current range,
+// coloured by pitch class
+function drawNoteHistory() {
+    const context = fitCanvas(noteHistoryCanvas);
+    const { width, height } = noteHistoryCanvas;
+    const now = audioContext.currentTime;
+    const since = now - NOTE_HISTORY_SECONDS;
+    const rows = keyboardRange.end - keyboardRange.start + 1;
+    const rowHeight = height / rows;
+
+    pruneNoteHistory(now);
+
+    context.fillStyle = visualizer.colors.background;
+    context.fillRect(0, 0, width, height);
+    noteHistory.forEach(entry => {
+        if (entry.midi < keyboardRange.start || entry.midi > keyboardRange.end || entry.start > now) return;
+        const end = entry.end === null ? now : Math.min(entry.end, now);
+        if (end < since) return;
+        const x = ((Math.max(entry.start, since) - since) / NOTE_HISTORY_SECONDS) * width;
+        const barWidth = Math.max(2, ((end - Math.max(entry.start, since)) / NOTE_HISTORY_SECONDS) * width);
+        const y = (keyboardRange.end - entry.midi) * rowHeight;
+        context.globalAlpha = 0.45 + entry.velocity * 0.55;
+        context.fillStyle = `hsl(${(entry.midi % 12) * 30}, 75%, 55%)`;
+        context.fillRect(x, y, barWidth, Math.max(2, rowHeight - 1));
+    });
+    context.globalAlpha = 1;
+}
+
+function drawVisualizer() {
+    visualizer.frameId = requestAnimationFrame(drawVisualizer);
+
+    if (visualizer.view !== 'off') {
+        const context = fitCanvas(visualizerCanvas);
+        const { width, height } = visualizerCanvas;
+        context.fillStyle = visualizer.colors.background;
+        context.fillRect(0, 0, width, height);
+        if (visualizer.view === 'scope') drawScope(context, width, height);
+        else drawSpectrum(context, width, height);
     }
+    if (visualizer.showHistory) drawNoteHistory();
+}
+
+// Run the drawing loop only while something is shown and the tab is visible
+function updateVisualizerLoop() {
+    const shouldRun = (visualizer.view !== 'off' || visualizer.showHistory) && !document.hidden;
+    if (shouldRun && visualizer.frameId === null) {
+        visualizer.frameId = requestAnimationFrame(drawVisualizer);
+    } else if (!shouldRun && visualizer.frameId !== null) {
+        cancelAnimationFrame(visualizer.frameId);
+        visualizer.frameId = null;
+    }
+}
+
+visualizerViewSelect.addEventListener('change', (event) => {
+    visualizer.view = event.target.value;
+    visualizerCanvas.hidden = visualizer.view === 'off';
+    updateVisualizerLoop();
+});
+
+noteHistoryCheckbox.addEventListener('change', (event) => {
+    visualizer.showHistory = event.target.checked;
+    noteHistoryCanvas.hidden = !visualizer.showHistory;
+    updateVisualizerLoop();
+});
+
+document.addEventListener('visibilitychange', updateVisualizerLoop);
+
+readVisualizerColors();
+updateVisualizerLoop();
+
+// ===== SETTINGS PERSISTENCE (settings-store.js) =====
+// Controls saved as they are; restoring sets the value and replays the control's own event.
+// Key profiles are saved by keyboard-profiles.js; the MIDI input needs a fresh permission each visit.
+const PERSISTED_CONTROLS = {
+    volume: { element: volumeSlider, event: 'input' },
+    preset: { element: presetSelector },
+    showLabels: { element: showLabelsCheckbox },
+    keyZoom: { element: keyZoomSlider, event: 'input' },
+    theoryRoot: { element: theoryRootSelect },
+    theoryScale: { element: theoryScaleSelect },
+    oneFingerChord: { element: oneFingerChordSelect },
+    metronomeBpm: { element: metronomeBpmSlider, event: 'input' },
+    timeSignature: { element: timeSignatureSelect },
+    metronomeAccent: { element: metronomeAccentSelect },
+    countIn: { element: countInSelect },
+    playbackTempo: { element: tempoSlider, event: 'input' },
+    audioFormat: { element: audioFormatSelect },
+    visualizerView: { element: visualizerViewSelect },
+    noteHistory: { element: noteHistoryCheckbox },
+    rollGrid: { element: rollGridSelect },
+    rollSnap: { element: rollSnapCheckbox },
+    rollStrength: { element: rollStrengthSlider, event: 'input' },
+    rollZoom: { element: rollZoomSlider, event: 'input' },
+    looperBars: { element: looperBarsSelect },
+    lessonMode: { element: lessonModeSelect },
+    lessonPractice: { element: lessonPracticeSelect },
+    lessonRangeLow: { element: lessonRangeLowSelect },
+    lessonRangeHigh: { element: lessonRangeHighSelect },
+    lessonSpeed: { element: lessonSpeedSlider, event: 'input' }
+};
+let settingsRestored = false; // nothing is saved while the saved settings are being applied
+
+function storeSettings() {
+    if (!settingsRestored) return;
+    const controls = {};
+    Object.keys(PERSISTED_CONTROLS).forEach(name => {
+        const { element } = PERSISTED_CONTROLS[name];
+        controls[name] = element.type === 'checkbox' ? element.checked : element.value;
+    });
+    saveSettings({
+        theme: chosenTheme || undefined,
+        range: { preset: rangeSelector.value, start: keyboardRange.start, end: keyboardRange.end },
+        octaveShift,
+        transpose: transposeSemitones,
+        tuning: { ...tuningSettings },
+        controls
+    });
+}
+
+['input', 'change'].forEach(type => {
+    document.addEventListener(type, (event) => {
+        if (Object.values(PERSISTED_CONTROLS).some(control => control.element === event.target)) storeSettings();
+    });
 });
 
+function restoreControl(control, value) {
+    const { element } = control;
+    if (element.type === 'checkbox') {
+        if (typeof value !== 'boolean') return;
+        element.checked = value;
+    } else if (element.tagName === 'SELECT') {
+        if (!Array.from(element.options).some(option => option.value === value)) return;
+        element.value = value;
+    } else {
+        if (typeof value !== 'string') return;
+        element.value = value; // sliders clamp it to their own range
+    }
+    element.dispatchEvent(new Event(control.event || 'change'));
+}
+
+function restoreTuning(saved) {
+    const scale = saved.scalaScale;
+    if (scale && Array.isArray(scale.steps) && scale.steps.length > 0 && scale.steps.every(Number.isFinite) && scale.period > 0) {
+        tuningSettings.scalaScale = { name: String(scale.name || 'Scala scale'), steps: scale.steps, period: scale.period };
+    }
+    if (TEMPERAMENTS[saved.temperament] || (saved.temperament === 'scala' && tuningSettings.scalaScale)) {
+        tuningSettings.temperament = saved.temperament;
+    }
+    if (Number.isInteger(saved.root) && saved.root >= 0 && saved.root < 12) tuningSettings.root = saved.root;
+    if (Number.isFinite(saved.reference)) {
+        tuningSettings.reference = Math.max(MIN_REFERENCE_PITCH, Math.min(MAX_REFERENCE_PITCH, saved.reference));
+    }
+
+    populateTemperaments();
+    tuningRootSelect.value = tuningSettings.root;
+    referencePitchSlider.value = tuningSettings.reference;
+    applyTuning();
+}
+
+function restoreSettings() {
+    const saved = loadSettings();
+
+    chosenTheme = saved.theme === 'light' || saved.theme === 'dark' ? saved.theme : null;
+    applyTheme(chosenTheme || getSystemTheme());
+
+    const range = saved.range || {};
+    if (Number.isInteger(range.start) && Number.isInteger(range.end) &&
+        range.start >= MIN_MIDI_NOTE && range.end <= MAX_MIDI_NOTE && range.end - range.start + 1 >= MIN_RANGE_KEYS) {
+        const isPreset = Boolean(keyboardRanges[range.preset]) &&
+            keyboardRanges[range.preset].start === range.start && keyboardRanges[range.preset].end === range.end;
+        rangeSelector.value = isPreset ? range.preset : 'custom';
+        customRange.hidden = isPreset;
+        setKeyboardRange(range.start, range.end);
+        syncRangePickers();
+    }
+
+    if (Number.isInteger(saved.octaveShift)) setOctaveShift(saved.octaveShift);
+    if (Number.isInteger(saved.transpose)) setTranspose(saved.transpose);
+    if (saved.tuning && typeof saved.tuning === 'object') restoreTuning(saved.tuning);
+
+    const controls = saved.controls || {};
+    Object.keys(PERSISTED_CONTROLS).forEach(name => {
+        if (name in controls) restoreControl(PERSISTED_CONTROLS[name], controls[name]);
+    });
+
+    settingsRestored = true;
+    console.log(Object.keys(saved).length ? '💾 Restored your saved settings.' : '💾 Using the default settings.');
+}
+
+restoreSettings();
+
+// ===== VOICE DEBUG OVERLAY (open the page with ?debug) =====
+const VOICE_DEBUG_INTERVAL = 250; // ms
+
+function updateVoiceDebug() {
+    const counts = voiceManager.getCounts(audioContext.currentTime);
+    voiceDebug.textContent = [
+        `Voices ${counts.total}/${counts.max}`,
+        `held ${counts.held}`,
+        `releasing ${counts.released}`,
+        `queued ${counts.scheduled}`,
+        `live ${counts.live}`,
+        `playback ${counts.playback}`,
+        `stolen ${counts.stolen}`
+    ].join(' • ');
+}
+
+if (new URLSearchParams(window.location.search).has('debug')) {
+    voiceDebug.hidden = false;
+    updateVoiceDebug();
+    setInterval(updateVoiceDebug, VOICE_DEBUG_INTERVAL);
+}
+
 // ===== KEYBOARD MAPPING DISPLAY =====
 console.log('%c🎹 PROFESSIONAL 36-KEY PIANO WITH PRESETS', 'color: #667eea; font-size: 20px; font-weight: bold;');
 console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'color: #667eea;');
 console.log('');
-console.log(`%cTotal Keys: 36 (21 white + 15 black)`, 'color: #28a745; font-weight: bold;');
-console.log(`%cRange: C4 (${allKeys[0].frequency.toFixed(2)} Hz) to B6 (${allKeys[35].frequency.toFixed(2)} Hz)`, 'color: #28a745; font-weight: bold;');
-console.log(`%cMiddle C: C4 at 261.63 Hz (First Key)`, 'color: #ffc107; font-weight: bold;');
-console.log(`%cCurrent Preset: ${soundPresets[currentPreset].name}`, 'color: #667eea; font-weight: bold;');
+const whiteKeyTotal = allKeys.filter(k => !k.isBlack).length;
+const lastKey = allKeys[allKeys.length - 1];
+console.log(`%cTotal Keys: ${allKeys.length} (${whiteKeyTotal} white + ${allKeys.length - whiteKeyTotal} black)`, 'color: #28a745; font-weight: bold;');
+console.log(`%cRange: ${allKeys[0].note} (${allKeys[0].frequency.toFixed(2)} Hz) to ${lastKey.note} (${lastKey.frequency.toFixed(2)} Hz)`, 'color: #28a745; font-weight: bold;');
+console.log(`%cMiddle C: C4 at ${getTuningFrequency(60, tuning).toFixed(2)} Hz`, 'color: #ffc107; font-weight: bold;');
+console.log(`%cCurrent Preset: ${getCurrentPreset().name}`, 'color: #667eea; font-weight: bold;');
 console.log('');
 console.log('%cKeyboard Shortcuts:', 'color: #667eea; font-weight: bold;');
 console.log('  C4-B4: Z X C V B N M (+ S D G H J for sharps)');
 console.log('  C5-B5: Q W E R T Y U (+ 2 3 5 6 7 for sharps)');
 console.log('  C6-B6: A L I O P K (+ 8 9 0 [ ] \\\\ for sharps)');
+console.log('  ← / →: octave down / up   ↓ / ↑: transpose a semitone');
 console.log('');
 console.log('%c💡 Tip: Try different sound presets for unique tones!', 'color: #764ba2; font-style: italic;');
 console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'color: #667eea;');
@@ -560,19 +4581,21 @@ console.log(`
 %c🎼 PROFESSIONAL PIANO SYSTEM FEATURES:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-✅ 36 KEYS PIANO
-   - Range: C4 to B6 (3 octaves)
-   - White Keys: 21 keys
-   - Black Keys: 15 keys
-   - Frequency Range: 261.63 Hz - 1975.53 Hz
+✅ CONFIGURABLE KEYBOARD (25 to 88 keys)
+   - Default Range: C4 to B6 (36 keys, 3 octaves)
+   - Presets: 25, 36, 37, 49, 61, 88 keys or a custom range
+   - Full Range: A0 (27.50 Hz) - C8 (4186.01 Hz)
+   - Keys scale to fit the screen
 
 ✅ ENHANCED PIANO SOUND ENGINE
-   🎹 Additive synthesis (4 harmonic partials)
+   🎹 Additive synthesis (configurable partials)
    🥁 Percussive attack envelope (realistic strike)
    🎛️ Dynamic lowpass filtering
    🎵 Full ADSR Envelope per partial
-   🎼 Accurate equal temperament tuning
+   🎼 Tuning: ${tuning.name}, A4 = ${tuning.reference} Hz
    🎯 Sustain: Hold key to continue sound
+   💪 Velocity: Harder strikes are louder and brighter
+   🦶 Sustain pedal recorded and played back
 
 ✅ SOUND PRESETS
    🌟 Bright Piano - Crisp & clear with rich harmonics
@@ -581,16 +4604,26 @@ console.log(`
 
 ✅ RECORDING & PLAYBACK
    🔴 Record  - Capture your performance
-   ▶️ Play    - Playback with exact timing
+   ▶️ Play    - Playback with exact timing (audio-clock scheduler)
+   ⏸️ Pause   - Pause, resume, stop & seek
+   🐢 Tempo   - Playback speed 25-200%
    🗑️ Clear   - Delete recording
+   🎼 MIDI    - Import/export Standard MIDI Files
+   🎧 WAV     - Render takes to 16-bit WAV audio
    📊 Counter - Track recorded notes
+   💾 Library - Takes auto-saved to IndexedDB, shareable as .json
+
+✅ MIDI CONTROLLERS
+   🎛️ Web MIDI input with device picker
+   💪 Velocity-sensitive notes
+   🦶 Sustain pedal (CC64, Space bar or on-screen toggle)
 
 ✅ THEME SYSTEM
    ☀️ Light Mode - Clean & bright interface
    🌙 Dark Mode  - Easy on the eyes
 
 ✅ PERFORMANCE OPTIMIZATION
-   📱 Mobile-optimized (max 10 concurrent voices)
+   📱 Mobile-optimized (max ${MAX_VOICES} concurrent voices)
    ⚡ Efficient audio node management
    🚀 Smooth playback and sustain
 
@@ -606,5 +4639,5 @@ console.log(`
 
 // ===== WELCOME MESSAGE =====
 console.log('%c🎹 Welcome to Enhanced 36-Key Piano! 🎶', 'color: #667eea; font-size: 24px; font-weight: bold;');
-console.log('%c✨ Full Range (A0-C8) • Recording System • Light/Dark Theme', 'color: #764ba2; font-size: 16px;');
+console.log('%c✨ Configurable Range (up to A0-C8) • Recording System • Light/Dark Theme', 'color: #764ba2; font-size: 16px;');
 console.log('%c🚀 Ready to make professional music!', 'color: #28a745; font-size: 14px; font-weight: bold;');
\ No newline at end of file
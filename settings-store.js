@@ -0,0 +1,36 @@
+// ===== SETTINGS STORE (control panel settings in localStorage) =====
+// Saved as one object: { version: 1, theme: 'light' | 'dark' (absent = follow the system),
+// range: { preset, start, end }, octaveShift, transpose,
+// tuning: { temperament, root, reference, scalaScale }, controls: { <name>: value } }.
+// controls holds the plain form values (slider numbers, select values, checkbox booleans);
+// script.js checks each value against its control before using it.
+
+const SETTINGS_STORAGE_KEY = 'online-piano-settings';
+const SETTINGS_VERSION = 1;
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (!stored || typeof stored !== 'object' || stored.version !== SETTINGS_VERSION) return {};
+        return stored;
+    } catch (error) {
+        console.warn(`⚠️ Could not read saved settings: ${error.message}`);
+        return {};
+    }
+}
+
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
+    } catch (error) {
+        console.warn(`⚠️ Could not save settings: ${error.message}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SETTINGS_STORAGE_KEY,
+        loadSettings,
+        saveSettings
+    };
+}
@@ -0,0 +1,165 @@
+// ===== SHARE LINKS (a take packed into the URL hash, no server) =====
+// The hash is '#take=<version>.<data>', where data is the packed take below as JSON, deflated
+// with CompressionStream and base64url-encoded:
+// { n: name, p: preset id, c: custom preset (optional), b: bpm, s: time signature, d: downbeat,
+//   t: notes as flat [midi, ms since previous note, duration (-1 = none), velocity 0-127 (-1 = none)],
+//   e: pedal changes as flat [ms since previous change, down 0/1] }
+// Uses normalizeTake from take-library.js, normalizePreset from preset-library.js and
+// midiToNoteName / noteNameToMidi from midi-file.js.
+
+const SHARE_LINK_KEY = 'take';
+const SHARE_LINK_VERSION = 1;
+const MAX_SHARE_LINK_LENGTH = 8000; // hash characters; chat apps and some browsers cut longer links
+const MAX_SHARED_TEXT_LENGTH = 1000000; // unpacked JSON, so a crafted link can't eat the memory
+
+function packTake(take, customPreset) {
+    const notes = [];
+    let previousTime = 0;
+    take.notes.forEach(note => {
+        const time = Math.round(note.time);
+        notes.push(
+            noteNameToMidi(note.note),
+            time - previousTime,
+            note.duration == null ? -1 : Math.round(note.duration),
+            note.velocity == null ? -1 : Math.round(note.velocity * 127)
+        );
+        previousTime = time;
+    });
+
+    const pedal = [];
+    previousTime = 0;
+    take.pedal.forEach(event => {
+        const time = Math.round(event.time);
+        pedal.push(time - previousTime, event.down ? 1 : 0);
+        previousTime = time;
+    });
+
+    const packed = { n: take.name, p: take.preset, b: take.bpm, s: take.timeSignature, d: Math.round(take.downbeat), t: notes, e: pedal };
+    if (customPreset) packed.c = customPreset;
+    return packed;
+}
+
+function unpackTake(packed) {
+    if (!packed || typeof packed !== 'object' || !Array.isArray(packed.t) || packed.t.length % 4 !== 0) {
+        throw new Error('the note list is missing');
+    }
+
+    const notes = [];
+    let time = 0;
+    for (let i = 0; i < packed.t.length; i += 4) {
+        const [midi, delta, duration, velocity] = packed.t.slice(i, i + 4);
+        if (!Number.isInteger(midi) || midi < 0 || midi > 127) throw new Error(`note ${i / 4 + 1} has an invalid pitch`);
+        time += delta;
+        notes.push({
+            note: midiToNoteName(midi),
+            frequency: 440 * Math.pow(2, (midi - 69) / 12), // stored for the take format; playback tunes by name
+            time,
+            duration: duration < 0 ? null : duration,
+            velocity: velocity < 0 ? undefined : velocity / 127
+        });
+    }
+
+    const pedal = [];
+    time = 0;
+    const pedalChanges = Array.isArray(packed.e) ? packed.e : [];
+    for (let i = 0; i + 1 < pedalChanges.length; i += 2) {
+        time += pedalChanges[i];
+        pedal.push({ time, down: pedalChanges[i + 1] === 1 });
+    }
+
+    const now = new Date().toISOString();
+    return {
+        take: normalizeTake({
+            format: TAKE_FORMAT,
+            version: TAKE_SCHEMA_VERSION,
+            name: packed.n,
+            createdAt: now,
+            updatedAt: now,
+            preset: packed.p,
+            bpm: packed.b,
+            timeSignature: packed.s,
+            downbeat: packed.d,
+            notes,
+            pedal
+        }),
+        preset: packed.c ? normalizePreset(packed.c) : null
+    };
+}
+
+// ===== COMPRESSION / BASE64URL =====
+async function transformBytes(bytes, stream) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// ===== LINKS =====
+function getSharedPayload(hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_LINK_KEY);
+}
+
+// The hash (without '#') for a take; customPreset goes along when the take uses one
+async function encodeShareLink(take, customPreset = null) {
+    if (typeof CompressionStream === 'undefined') throw new Error('This browser cannot compress share links.');
+    const json = JSON.stringify(packTake(take, customPreset));
+    const compressed = await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${SHARE_LINK_KEY}=${SHARE_LINK_VERSION}.${bytesToBase64Url(compressed)}`;
+}
+
+// { take, preset } from a location hash; preset is the custom preset sent along, or null
+async function decodeShareLink(hash) {
+    const payload = getSharedPayload(hash);
+    if (!payload) throw new Error('The link has no take in it.');
+    if (payload.length > MAX_SHARE_LINK_LENGTH) {
+        throw new Error(`The link is too large (${payload.length} characters, the limit is ${MAX_SHARE_LINK_LENGTH}).`);
+    }
+
+    const separator = payload.indexOf('.');
+    const version = parseInt(payload.slice(0, separator), 10);
+    if (separator === -1 || !Number.isInteger(version)) throw new Error('The link is damaged (no version).');
+    if (version > SHARE_LINK_VERSION) throw new Error(`The link was made by a newer version (v${version}) of the piano.`);
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open share links.');
+
+    let json;
+    try {
+        const bytes = await transformBytes(base64UrlToBytes(payload.slice(separator + 1)), new DecompressionStream('deflate-raw'));
+        if (bytes.length > MAX_SHARED_TEXT_LENGTH) throw new Error('too large');
+        json = new TextDecoder().decode(bytes);
+    } catch (error) {
+        throw new Error('The link is damaged or incomplete - it may have been cut off when it was copied.');
+    }
+
+    let packed;
+    try {
+        packed = JSON.parse(json);
+    } catch (error) {
+        throw new Error('The link is damaged (the take is not readable).');
+    }
+    try {
+        return unpackTake(packed);
+    } catch (error) {
+        throw new Error(`The link is damaged (${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}).`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_SHARE_LINK_LENGTH,
+        packTake,
+        unpackTake,
+        getSharedPayload,
+        encodeShareLink,
+        decodeShareLink
+    };
+}
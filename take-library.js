@@ -0,0 +1,262 @@
+// ===== TAKE LIBRARY (versioned take format + IndexedDB storage) =====
+// A take is stored and exported as the same JSON object:
+// {
+//   format: 'online-piano-take', version: 2, id, name, createdAt, updatedAt, preset,
+//   bpm, timeSignature: [beats, unit], downbeat,                    // bar lines at downbeat + n bars (ms)
+//   notes: [{ note: 'C4', frequency, time, duration, velocity }],   // times in ms from take start
+//   pedal: [{ time, down }]                                         // sustain pedal changes
+// }
+// Older versions are migrated on load; files from a newer version are rejected.
+
+const TAKE_FORMAT = 'online-piano-take';
+const TAKE_SCHEMA_VERSION = 2;
+const TAKE_DB_NAME = 'online-piano';
+const TAKE_DB_VERSION = 1;
+const TAKE_STORE = 'takes';
+const TAKE_FALLBACK_KEY = 'online-piano-takes'; // localStorage, when IndexedDB is unavailable
+
+const DEFAULT_TAKE_BPM = 120;
+const DEFAULT_TIME_SIGNATURE = [4, 4];
+
+// Upgrade steps: takeMigrations[n] turns a version n take into version n + 1
+const takeMigrations = {
+    // v2 adds the meter; v1 takes had no timing reference, so assume 120 BPM 4/4 from the first note
+    1: take => ({ ...take, version: 2, bpm: DEFAULT_TAKE_BPM, timeSignature: DEFAULT_TIME_SIGNATURE.slice(), downbeat: 0 })
+};
+
+// Length of one bar in ms; bpm counts the signature's beat unit (eighths in 6/8)
+function getBarLength(bpm, timeSignature) {
+    return timeSignature[0] * 60000 / bpm;
+}
+
+function createTakeId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `take-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ===== RECORDING <-> TAKE =====
+function takeFromRecording(notes, pedalEvents, details = {}) {
+    const now = new Date().toISOString();
+    const origin = notes.reduce((min, note) => Math.min(min, note.timestamp), Infinity);
+    const start = Number.isFinite(origin) ? origin : 0;
+    const meter = details.meter || { bpm: DEFAULT_TAKE_BPM, timeSignature: DEFAULT_TIME_SIGNATURE, downbeat: start };
+
+    return {
+        format: TAKE_FORMAT,
+        version: TAKE_SCHEMA_VERSION,
+        id: details.id || createTakeId(),
+        name: details.name || 'Untitled take',
+        createdAt: details.createdAt || now,
+        updatedAt: now,
+        preset: details.preset || 'warm',
+        bpm: meter.bpm,
+        timeSignature: meter.timeSignature.slice(),
+        downbeat: meter.downbeat - start,
+        notes: notes
+            .map(note => ({
+                note: note.note,
+                frequency: note.frequency,
+                time: note.timestamp - start,
+                duration: note.duration,
+                velocity: note.velocity
+            }))
+            .sort((a, b) => a.time - b.time),
+        pedal: pedalEvents
+            .map(event => ({ time: Math.max(0, event.timestamp - start), down: event.down }))
+            .sort((a, b) => a.time - b.time)
+    };
+}
+
+// Back to the shape used by recordedNotes / recordedPedalEvents / recordedMeter
+function recordingFromTake(take) {
+    return {
+        meter: { bpm: take.bpm, timeSignature: take.timeSignature.slice(), downbeat: take.downbeat },
+        notes: take.notes.map(note => ({
+            note: note.note,
+            frequency: note.frequency,
+            timestamp: note.time,
+            duration: note.duration,
+            velocity: note.velocity
+        })),
+        pedalEvents: take.pedal.map(event => ({ timestamp: event.time, down: event.down }))
+    };
+}
+
+// ===== VALIDATION / MIGRATION =====
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isTimeSignature(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        Number.isInteger(value[0]) && value[0] >= 1 && value[0] <= 32 &&
+        [1, 2, 4, 8, 16, 32].includes(value[1]);
+}
+
+function normalizeTake(data) {
+    if (!data || typeof data !== 'object' || data.format !== TAKE_FORMAT) {
+        throw new Error('Not an Online Piano take file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Take file has no valid version');
+    }
+    if (data.version > TAKE_SCHEMA_VERSION) {
+        throw new Error(`Take was saved by a newer version (v${data.version}) of the piano`);
+    }
+
+    let take = data;
+    while (take.version < TAKE_SCHEMA_VERSION) {
+        take = takeMigrations[take.version](take);
+    }
+
+    if (!Array.isArray(take.notes)) throw new Error('Take has no notes list');
+    const notes = take.notes.map((note, index) => {
+        if (!note || typeof note.note !== 'string' || !/^[A-G]#?-?\d$/.test(note.note)) {
+            throw new Error(`Note ${index + 1} has an invalid pitch`);
+        }
+        if (!isFiniteNumber(note.frequency) || note.frequency <= 0) {
+            throw new Error(`Note ${index + 1} has an invalid frequency`);
+        }
+        if (!isFiniteNumber(note.time) || note.time < 0) {
+            throw new Error(`Note ${index + 1} has an invalid time`);
+        }
+        return {
+            note: note.note,
+            frequency: note.frequency,
+            time: note.time,
+            duration: isFiniteNumber(note.duration) && note.duration >= 0 ? note.duration : null,
+            velocity: isFiniteNumber(note.velocity) ? Math.max(0, Math.min(1, note.velocity)) : undefined
+        };
+    });
+
+    const pedal = (Array.isArray(take.pedal) ? take.pedal : [])
+        .filter(event => event && isFiniteNumber(event.time) && typeof event.down === 'boolean')
+        .map(event => ({ time: Math.max(0, event.time), down: event.down }));
+
+    return {
+        format: TAKE_FORMAT,
+        version: TAKE_SCHEMA_VERSION,
+        id: typeof take.id === 'string' && take.id ? take.id : createTakeId(),
+        name: typeof take.name === 'string' && take.name.trim() ? take.name.trim() : 'Untitled take',
+        createdAt: typeof take.createdAt === 'string' ? take.createdAt : new Date().toISOString(),
+        updatedAt: typeof take.updatedAt === 'string' ? take.updatedAt : new Date().toISOString(),
+        preset: typeof take.preset === 'string' ? take.preset : 'warm',
+        bpm: isFiniteNumber(take.bpm) && take.bpm >= 20 && take.bpm <= 400 ? take.bpm : DEFAULT_TAKE_BPM,
+        timeSignature: isTimeSignature(take.timeSignature) ? take.timeSignature.slice() : DEFAULT_TIME_SIGNATURE.slice(),
+        downbeat: isFiniteNumber(take.downbeat) ? take.downbeat : 0,
+        notes,
+        pedal
+    };
+}
+
+function takeToJson(take) {
+    return JSON.stringify(take, null, 2);
+}
+
+// A .json file may hold one take or an array of takes
+function parseTakeJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+    return (Array.isArray(data) ? data : [data]).map(normalizeTake);
+}
+
+// ===== STORAGE (IndexedDB, localStorage fallback) =====
+let takeDatabasePromise = null;
+
+function openTakeDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!takeDatabasePromise) {
+        takeDatabasePromise = new Promise(resolve => {
+            const request = indexedDB.open(TAKE_DB_NAME, TAKE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TAKE_STORE)) {
+                    db.createObjectStore(TAKE_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            // e.g. private browsing - fall back to localStorage
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+    }
+    return takeDatabasePromise;
+}
+
+function runTakeTransaction(db, mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TAKE_STORE, mode);
+        const request = action(transaction.objectStore(TAKE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+function readFallbackTakes() {
+    try {
+        return JSON.parse(localStorage.getItem(TAKE_FALLBACK_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeFallbackTakes(takes) {
+    localStorage.setItem(TAKE_FALLBACK_KEY, JSON.stringify(takes));
+}
+
+// All saved takes, newest first (unreadable entries are skipped)
+async function loadAllTakes() {
+    const db = await openTakeDatabase();
+    const stored = db
+        ? await runTakeTransaction(db, 'readonly', store => store.getAll())
+        : readFallbackTakes();
+
+    return stored
+        .map(take => {
+            try {
+                return normalizeTake(take);
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable take ${take && take.id}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function storeTake(take) {
+    const db = await openTakeDatabase();
+    if (db) {
+        await runTakeTransaction(db, 'readwrite', store => store.put(take));
+        return take;
+    }
+    writeFallbackTakes(readFallbackTakes().filter(saved => saved.id !== take.id).concat(take));
+    return take;
+}
+
+async function removeTake(id) {
+    const db = await openTakeDatabase();
+    if (db) {
+        await runTakeTransaction(db, 'readwrite', store => store.delete(id));
+        return;
+    }
+    writeFallbackTakes(readFallbackTakes().filter(saved => saved.id !== id));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TAKE_FORMAT,
+        TAKE_SCHEMA_VERSION,
+        getBarLength,
+        takeFromRecording,
+        recordingFromTake,
+        normalizeTake,
+        takeToJson,
+        parseTakeJson
+    };
+}
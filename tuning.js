@@ -0,0 +1,101 @@
+// ===== TUNING (temperaments, Scala scales, reference pitch) =====
+// A tuning: { name, steps, period, root, reference }. steps are the cents of each scale degree
+// above the root (steps[0] = 0), period is the cents after which the scale repeats (1200 for an
+// octave). Keys map onto consecutive degrees from the root key of octave 4 (pitch class `root`
+// above C4), and the whole keyboard is shifted so A4 sounds at `reference` Hz.
+
+const DEFAULT_REFERENCE_PITCH = 440;
+const MIN_REFERENCE_PITCH = 415; // baroque pitch
+const MAX_REFERENCE_PITCH = 466;
+
+function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+// Degrees of the historical temperaments in cents above their key
+const TEMPERAMENTS = {
+    equal: {
+        name: 'Equal temperament',
+        steps: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        steps: [1, 2187 / 2048, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 6561 / 4096, 27 / 16, 16 / 9, 243 / 128].map(ratioToCents)
+    },
+    meantone: {
+        name: 'Quarter-comma meantone',
+        steps: [0, 76.05, 193.16, 310.26, 386.31, 503.42, 579.47, 696.58, 772.63, 889.74, 1006.84, 1082.89]
+    },
+    werckmeister3: {
+        name: 'Werckmeister III',
+        steps: [0, 90.22, 192.18, 294.13, 390.22, 498.04, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18]
+    },
+    just: {
+        name: 'Just intonation (5-limit)',
+        steps: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents)
+    }
+};
+
+function createTuning(scale, root = 0, reference = DEFAULT_REFERENCE_PITCH) {
+    return { name: scale.name, steps: scale.steps.slice(), period: scale.period || 1200, root, reference };
+}
+
+// Cents of a key above the root key of octave 4, following the scale degree by degree
+function getScaleCents(midi, tuning) {
+    const size = tuning.steps.length;
+    const offset = midi - (60 + tuning.root);
+    const degree = ((offset % size) + size) % size;
+    return Math.floor(offset / size) * tuning.period + tuning.steps[degree];
+}
+
+function getTuningFrequency(midi, tuning) {
+    return tuning.reference * Math.pow(2, (getScaleCents(midi, tuning) - getScaleCents(69, tuning)) / 1200);
+}
+
+// ===== SCALA (.scl) FILES =====
+// '!' lines are comments; then a description, the number of notes, and one pitch per line -
+// cents when it has a '.', otherwise a ratio like 3/2 or 2. The last pitch is the period.
+function parseScalaPitch(text) {
+    const token = text.trim().split(/\s+/)[0];
+    if (token.includes('.')) {
+        const cents = parseFloat(token);
+        if (!Number.isFinite(cents)) throw new Error(`"${token}" is not a cents value`);
+        return cents;
+    }
+    const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`"${token}" is not a ratio or cents value`);
+    const ratio = parseInt(match[1], 10) / (match[2] ? parseInt(match[2], 10) : 1);
+    if (!(ratio > 0) || !Number.isFinite(ratio)) throw new Error(`"${token}" is not a usable ratio`);
+    return ratioToCents(ratio);
+}
+
+function parseScalaFile(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) throw new Error('The file is too short to be a Scala scale.');
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(count) || count < 1) throw new Error('The note count is missing.');
+
+    const pitches = lines.slice(2).filter(line => line.trim() !== '').slice(0, count).map(parseScalaPitch);
+    if (pitches.length < count) throw new Error(`Expected ${count} pitches, found ${pitches.length}.`);
+
+    const period = pitches[count - 1];
+    if (!(period > 0)) throw new Error('The scale must repeat at a pitch above its root.');
+    return {
+        name: description, // may be empty
+        steps: [0, ...pitches.slice(0, count - 1)],
+        period
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_REFERENCE_PITCH,
+        TEMPERAMENTS,
+        ratioToCents,
+        createTuning,
+        getTuningFrequency,
+        parseScalaFile
+    };
+}
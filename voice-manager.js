@@ -0,0 +1,68 @@
+// ===== VOICE MANAGER (every voice on the live audio clock, stealing, clean-up) =====
+// A voice (see createPianoVoice): { kind: 'live' | 'playback', startTime, releasedAt, getLevel(t),
+// kill(), onSteal } - releasedAt is the audio time its release starts (null while held).
+// Voices are added when they are built and removed when their nodes have ended.
+
+// Released voices go first, then held ones; within each, the quietest, then the oldest.
+// When nothing has started yet (a playback queued ahead), the last voice to start goes.
+function pickVoiceToSteal(voices, now) {
+    const sounding = voices.filter(voice => voice.startTime <= now);
+    if (sounding.length === 0) {
+        return voices.reduce((latest, voice) => (!latest || voice.startTime > latest.startTime ? voice : latest), null);
+    }
+    const released = sounding.filter(voice => voice.releasedAt !== null && voice.releasedAt <= now);
+    const pool = released.length > 0 ? released : sounding;
+
+    return pool.reduce((best, voice) => {
+        if (!best) return voice;
+        const level = voice.getLevel(now);
+        const bestLevel = best.getLevel(now);
+        if (Math.abs(level - bestLevel) > 0.0001) return level < bestLevel ? voice : best;
+        return voice.startTime < best.startTime ? voice : best;
+    }, null);
+}
+
+function createVoiceManager(maxVoices) {
+    const voices = new Set();
+    let stolen = 0;
+
+    function steal(now) {
+        const victim = pickVoiceToSteal(Array.from(voices), now);
+        if (!victim) return false;
+        voices.delete(victim);
+        victim.kill();
+        if (victim.onSteal) victim.onSteal();
+        stolen++;
+        return true;
+    }
+
+    return {
+        // Call before building a voice: frees a slot when every one is taken
+        makeRoom(now) {
+            while (voices.size >= maxVoices && steal(now)) { /* keep stealing */ }
+        },
+        add(voice) {
+            voices.add(voice);
+        },
+        remove(voice) {
+            voices.delete(voice);
+        },
+        getCounts(now) {
+            const counts = { total: voices.size, max: maxVoices, live: 0, playback: 0, held: 0, released: 0, scheduled: 0, stolen };
+            voices.forEach(voice => {
+                counts[voice.kind]++;
+                if (voice.startTime > now) counts.scheduled++;
+                else if (voice.releasedAt !== null && voice.releasedAt <= now) counts.released++;
+                else counts.held++;
+            });
+            return counts;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        pickVoiceToSteal,
+        createVoiceManager
+    };
+}
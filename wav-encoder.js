@@ -0,0 +1,62 @@
+// ===== WAV ENCODER (16-bit PCM) =====
+// Pure function (no DOM / Web Audio) so it can be used in the browser and in Node.
+// Takes one Float32Array (-1..1) per channel and returns the bytes of a RIFF/WAVE file.
+
+const WAV_HEADER_SIZE = 44;
+
+function writeAscii(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+function encodeWav(channels, sampleRate) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+        throw new Error('encodeWav needs at least one channel of samples');
+    }
+    const frameCount = channels[0].length;
+    if (channels.some(channel => channel.length !== frameCount)) {
+        throw new Error('All channels must have the same number of samples');
+    }
+
+    const channelCount = channels.length;
+    const bytesPerSample = 2;
+    const blockAlign = channelCount * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeAscii(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(view, 8, 'WAVE');
+
+    // fmt chunk: uncompressed PCM
+    writeAscii(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    // data chunk: interleaved, clipped to 16-bit range
+    writeAscii(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = WAV_HEADER_SIZE;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame] || 0));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Uint8Array(buffer);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeWav };
+}